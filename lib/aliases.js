@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILES = ['tsconfig.json', 'jsconfig.json'];
+
+// tsconfig allows comments and trailing commas; "@/*" must survive as a string
+function parseJsonWithComments(text) {
+  let output = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    const next = text[i + 1];
+
+    if (inString) {
+      output += char;
+      if (char === '\\') {
+        output += next;
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '/' && next === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      output += '\n';
+    } else if (char === '/' && next === '*') {
+      i = text.indexOf('*/', i + 2);
+      if (i === -1) break;
+      i++;
+    } else {
+      output += char;
+    }
+  }
+
+  return JSON.parse(output.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+// Only wildcard aliases like "@/*": ["./src/*"] can map a whole folder
+function loadPathAliases(rootDir = '.') {
+  const configFile = CONFIG_FILES
+    .map(file => path.resolve(rootDir, file))
+    .find(file => fs.existsSync(file));
+  if (!configFile) return [];
+
+  let compilerOptions;
+  try {
+    compilerOptions = parseJsonWithComments(fs.readFileSync(configFile, 'utf8')).compilerOptions || {};
+  } catch (error) {
+    throw new Error(`Could not read path aliases from ${path.basename(configFile)}: ${error.message}`);
+  }
+
+  const baseUrl = path.resolve(path.dirname(configFile), compilerOptions.baseUrl || '.');
+
+  return Object.entries(compilerOptions.paths || {})
+    .filter(([alias, targets]) => alias.endsWith('/*') && targets[0]?.endsWith('/*'))
+    .map(([alias, targets]) => ({
+      prefix: alias.slice(0, -1),
+      directory: path.resolve(baseUrl, targets[0].slice(0, -1))
+    }))
+    // The most specific target wins
+    .sort((a, b) => b.directory.length - a.directory.length);
+}
+
+function aliasFor(aliases, file) {
+  const absolute = path.resolve(file);
+
+  for (const alias of aliases) {
+    const relative = path.relative(alias.directory, absolute);
+    if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+      return alias.prefix + relative.split(path.sep).join('/');
+    }
+  }
+  return null;
+}
+
+module.exports = { loadPathAliases, aliasFor };
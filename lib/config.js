@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const minimatch = require('minimatch');
+
+const CONFIG_FILE = 'modularizer.config.js';
+const PACKAGE_KEY = 'modularizer';
+
+const DEFAULT_CONFIG = {
+  components: {
+    include: [], // Names, globs or regexes; empty means every component
+    exclude: ['App', 'MyApp', 'Home', 'Index', 'Page', 'Layout'],
+    minConfidence: 0.5 // How sure the AST analysis must be that a function is a component
+  },
+  output: {
+    dir: 'components',
+    dirs: {}, // Source folder -> output dir, e.g. { 'src/pages': 'src/components' }
+    extension: null, // '.jsx' | '.js' | '.tsx' | '.ts'; null picks from the source
+    fileNameCase: 'pascal', // 'pascal' | 'kebab'
+    layout: 'flat', // 'flat' (components/Card.jsx) | 'folder' (components/Card/index.jsx)
+    barrel: false, // Keep a components/index.js re-exporting every component, and import from it
+    tests: false, // Scaffold a Testing Library smoke test next to each component
+    stories: false, // Scaffold a Storybook story next to each component
+    inferProps: false, // Emit propTypes (.jsx) or a Props interface (.tsx) inferred from usage
+    exportStyle: 'default', // 'default' | 'named'
+    onConflict: 'fail', // 'fail' | 'skip' | 'rename' | 'overwrite' when a target file exists
+    pathAliases: false, // Import through tsconfig/jsconfig "paths" like @/components/Card
+    clientDirective: 'auto' // 'use client' where needed: 'auto' (App Router files only) | true | false
+  },
+  // Each gets a folder next to the components folder; `true`/`false` is short for { enabled }
+  extract: {
+    hooks: { enabled: true, dir: 'hooks' }, // function useFetch() {...}
+    contexts: { enabled: true, dir: 'contexts' }, // const ThemeContext = createContext(), with its provider
+    utils: { enabled: false, dir: 'utils' } // Other top-level functions, like formatDate
+  },
+  // `modularize analyze` flags a component as worth splitting once it goes over any of these
+  analyze: {
+    maxLines: 150,
+    maxJsxDepth: 6,
+    maxHooks: 8,
+    maxStateVariables: 5,
+    maxComplexity: 10, // One plus every branch, loop and && / || / ??
+    maxProps: 8,
+    minSuggestionLines: 12 // Smallest JSX region or nested function worth suggesting on its own
+  }
+};
+
+const ALLOWED_VALUES = {
+  extension: [null, '.jsx', '.js', '.tsx', '.ts'],
+  fileNameCase: ['pascal', 'kebab'],
+  layout: ['flat', 'folder'],
+  barrel: [true, false],
+  tests: [true, false],
+  stories: [true, false],
+  inferProps: [true, false],
+  exportStyle: ['default', 'named'],
+  onConflict: ['fail', 'skip', 'rename', 'overwrite'],
+  pathAliases: [true, false],
+  clientDirective: ['auto', true, false]
+};
+
+// modularizer.config.js wins over a "modularizer" key in package.json
+function loadConfig(rootDir = '.', configPath = null) {
+  if (configPath) {
+    const resolved = path.resolve(configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return normalizeConfig(readConfigFile(resolved), path.dirname(resolved));
+  }
+
+  const configFile = path.resolve(rootDir, CONFIG_FILE);
+  if (fs.existsSync(configFile)) {
+    return normalizeConfig(readConfigFile(configFile), rootDir);
+  }
+
+  const packageFile = path.resolve(rootDir, 'package.json');
+  if (fs.existsSync(packageFile)) {
+    const packageJson = JSON.parse(fs.readFileSync(packageFile, 'utf8'));
+    if (packageJson[PACKAGE_KEY]) {
+      return normalizeConfig(packageJson[PACKAGE_KEY], rootDir);
+    }
+  }
+
+  return normalizeConfig({}, rootDir);
+}
+
+function readConfigFile(file) {
+  if (file.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  delete require.cache[file];
+  const loaded = require(file);
+  return loaded && loaded.default ? loaded.default : loaded;
+}
+
+function normalizeConfig(raw = {}, rootDir = '.') {
+  const config = {
+    rootDir,
+    components: { ...DEFAULT_CONFIG.components, ...raw.components },
+    output: { ...DEFAULT_CONFIG.output, ...raw.output },
+    extract: {},
+    analyze: { ...DEFAULT_CONFIG.analyze, ...raw.analyze }
+  };
+
+  Object.entries(DEFAULT_CONFIG.extract).forEach(([category, defaults]) => {
+    const value = raw.extract?.[category];
+    const options = { ...defaults, ...(typeof value === 'boolean' ? { enabled: value } : value) };
+    const validShape = value === undefined || typeof value === 'boolean' || (typeof value === 'object' && value !== null);
+    if (!validShape || typeof options.enabled !== 'boolean' || typeof options.dir !== 'string' || options.dir === '') {
+      throw new Error(`Invalid extract.${category} in modularizer config: ${JSON.stringify(value)}`);
+    }
+    config.extract[category] = options;
+  });
+
+  ['include', 'exclude'].forEach(key => {
+    const patterns = config.components[key];
+    config.components[key] = (Array.isArray(patterns) ? patterns : [patterns]).map(toPattern);
+  });
+
+  const { minConfidence } = config.components;
+  if (typeof minConfidence !== 'number' || minConfidence < 0 || minConfidence > 1) {
+    throw new Error(`Invalid components.minConfidence in modularizer config: ${minConfidence}`);
+  }
+
+  Object.entries(config.analyze).forEach(([key, value]) => {
+    if (!(key in DEFAULT_CONFIG.analyze) || !Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid analyze.${key} in modularizer config: ${value}`);
+    }
+  });
+
+  Object.entries(ALLOWED_VALUES).forEach(([key, allowed]) => {
+    if (!allowed.includes(config.output[key])) {
+      throw new Error(`Invalid output.${key} in modularizer config: ${config.output[key]}`);
+    }
+  });
+
+  return config;
+}
+
+// JSON has no regex literals, so "/Page$/" strings count as regexes too
+function toPattern(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(String(pattern));
+  return regex ? new RegExp(regex[1], regex[2]) : String(pattern);
+}
+
+function matchesName(name, patterns) {
+  return patterns.some(pattern =>
+    pattern instanceof RegExp ? pattern.test(name) : minimatch(name, pattern)
+  );
+}
+
+function isComponentIncluded(config, name) {
+  const { include, exclude } = config.components;
+  return (include.length === 0 || matchesName(name, include)) && !matchesName(name, exclude);
+}
+
+// The most specific source folder mapping wins
+function outputDirFor(config, sourceFile) {
+  const sourceDir = path.relative(config.rootDir, path.dirname(path.resolve(sourceFile))).split(path.sep).join('/');
+  let best = null;
+
+  Object.entries(config.output.dirs).forEach(([folder, dir]) => {
+    const normalized = folder.replace(/^\.(\/|$)|\/$/g, '');
+    const matches = normalized === '' || sourceDir === normalized || sourceDir.startsWith(`${normalized}/`);
+    if (matches && (!best || normalized.length > best.folder.length)) {
+      best = { folder: normalized, dir };
+    }
+  });
+
+  return path.join(config.rootDir, best ? best.dir : config.output.dir);
+}
+
+function fileNameFor(name, fileNameCase = 'pascal') {
+  if (fileNameCase === 'kebab') {
+    return name
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1-$2')
+      .toLowerCase();
+  }
+  return name;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  loadConfig,
+  normalizeConfig,
+  isComponentIncluded,
+  outputDirFor,
+  fileNameFor
+};
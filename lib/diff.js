@@ -0,0 +1,60 @@
+const path = require('path');
+const { createTwoFilesPatch } = require('diff');
+
+const COLORS = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  cyan: '\x1b[36m',
+  bold: '\x1b[1m',
+  reset: '\x1b[0m'
+};
+
+function shouldColor() {
+  return Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+}
+
+function paint(text, color, enabled) {
+  return enabled ? `${COLORS[color]}${text}${COLORS.reset}` : text;
+}
+
+function displayPath(filePath) {
+  return path.normalize(filePath).split(path.sep).join('/');
+}
+
+function formatPatch(change, color) {
+  const name = displayPath(change.filePath);
+  const patch = createTwoFilesPatch(`a/${name}`, `b/${name}`, change.before, change.after, '', '');
+
+  return patch
+    .split('\n')
+    .filter(line => !line.startsWith('====')) // Index separator jsdiff adds
+    .map(line => {
+      if (line.startsWith('---') || line.startsWith('+++')) return paint(line.trimEnd(), 'bold', color);
+      if (line.startsWith('@@')) return paint(line, 'cyan', color);
+      if (line.startsWith('+')) return paint(line, 'green', color);
+      if (line.startsWith('-')) return paint(line, 'red', color);
+      return line;
+    })
+    .join('\n');
+}
+
+// Unified diffs for modified files, a listing for new ones
+function formatChangeSet(changes, { color = shouldColor() } = {}) {
+  const created = changes.filter(change => change.before === null);
+  const modified = changes.filter(change => change.before !== null);
+  const sections = [];
+
+  modified.forEach(change => sections.push(formatPatch(change, color)));
+
+  if (created.length > 0) {
+    const listing = created.map(change => {
+      const lines = change.after.split('\n').length;
+      return paint(`  + ${displayPath(change.filePath)} (${lines} lines)`, 'green', color);
+    });
+    sections.push([paint('New files:', 'bold', color), ...listing].join('\n'));
+  }
+
+  return sections.join('\n\n');
+}
+
+module.exports = { formatChangeSet };
@@ -0,0 +1,137 @@
+const GRAPH_FORMATS = ['json', 'mermaid', 'dot'];
+
+// Node shapes by kind; components that stay in the source file are drawn bold
+const MERMAID_SHAPES = {
+  component: ['[', ']'],
+  hook: ['([', '])'],
+  context: ['{{', '}}'],
+  util: ['[/', '/]']
+};
+
+const DOT_SHAPES = {
+  component: 'box',
+  hook: 'ellipse',
+  context: 'hexagon',
+  util: 'parallelogram'
+};
+
+function edgeLabel(edge) {
+  return (edge.props || []).join(', ');
+}
+
+function toMermaid(graph) {
+  const escape = text => text.replace(/"/g, '#quot;');
+  const lines = ['graph TD'];
+
+  // Mermaid IDs are plain words, so pages/a.jsx#Home becomes pages_a_jsx_Home
+  const mermaidIds = new Map();
+  const mermaidId = id => {
+    if (!mermaidIds.has(id)) {
+      let safe = id.replace(/\W/g, '_');
+      while ([...mermaidIds.values()].includes(safe)) {
+        safe += '_';
+      }
+      mermaidIds.set(id, safe);
+    }
+    return mermaidIds.get(id);
+  };
+
+  graph.nodes.forEach(node => {
+    const [open, close] = MERMAID_SHAPES[node.kind] || MERMAID_SHAPES.component;
+    lines.push(`  ${mermaidId(node.id)}${open}"${escape(node.id)}"${close}`);
+  });
+
+  graph.edges.forEach(edge => {
+    const arrow = edge.type === 'renders' ? '-->' : '-.->';
+    const label = edgeLabel(edge) ? `|"${escape(edgeLabel(edge))}"|` : '';
+    lines.push(`  ${mermaidId(edge.from)} ${arrow}${label} ${mermaidId(edge.to)}`);
+  });
+
+  const kept = graph.nodes.filter(node => !node.extracted).map(node => mermaidId(node.id));
+  if (kept.length > 0) {
+    lines.push('  classDef source stroke-width:3px;', `  class ${kept.join(',')} source;`);
+  }
+
+  return lines.join('\n');
+}
+
+function toDot(graph) {
+  const quote = text => `"${String(text).replace(/["\\]/g, '\\$&')}"`;
+  const lines = ['digraph components {', '  node [fontname="Helvetica"];'];
+
+  graph.nodes.forEach(node => {
+    const style = node.extracted ? '' : ', style=bold';
+    lines.push(`  ${quote(node.id)} [shape=${DOT_SHAPES[node.kind] || DOT_SHAPES.component}${style}];`);
+  });
+
+  graph.edges.forEach(edge => {
+    const attributes = [];
+    if (edgeLabel(edge)) attributes.push(`label=${quote(edgeLabel(edge))}`);
+    if (edge.type !== 'renders') attributes.push('style=dashed');
+    const suffix = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${suffix};`);
+  });
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+function formatGraph(graph, format) {
+  if (format === 'json') return JSON.stringify(graph, null, 2);
+  if (format === 'mermaid') return toMermaid(graph);
+  if (format === 'dot') return toDot(graph);
+  throw new Error(`Unknown graph format: ${format} (use ${GRAPH_FORMATS.join(', ')})`);
+}
+
+function fileOf(node) {
+  return node.file.replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+// One graph for several files. Components that stay in their file are told apart
+// by it (pages/a.jsx#Home); extracted ones are one node when they land in the same
+// file, and keep their plain name unless another file has one of the same name
+function mergeGraphs(graphs) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  const extractedFiles = new Map();
+  graphs.forEach(graph => {
+    graph.nodes.filter(node => node.extracted).forEach(node => {
+      extractedFiles.set(node.id, new Set([...(extractedFiles.get(node.id) || []), fileOf(node)]));
+    });
+  });
+  const mergedId = node => (node.extracted && extractedFiles.get(node.id).size === 1
+    ? node.id
+    : `${fileOf(node)}#${node.id}`);
+
+  graphs.forEach(graph => {
+    const ids = new Map(graph.nodes.map(node => [node.id, mergedId(node)]));
+
+    graph.nodes.forEach(node => {
+      const id = ids.get(node.id);
+      const existing = nodes.get(id);
+      if (!existing) {
+        nodes.set(id, { ...node, id, hooks: [...node.hooks], imports: [...node.imports] });
+        return;
+      }
+      existing.hooks = [...new Set([...existing.hooks, ...node.hooks])];
+      existing.imports = [...new Set([...existing.imports, ...node.imports])];
+    });
+
+    graph.edges.forEach(edge => {
+      const from = ids.get(edge.from) || edge.from;
+      const to = ids.get(edge.to) || edge.to;
+      const key = `${from}\u0000${to}\u0000${edge.type}`;
+      const existing = edges.get(key);
+      if (!existing) {
+        edges.set(key, { ...edge, from, to, props: [...edge.props] });
+        return;
+      }
+      existing.props = [...new Set([...existing.props, ...edge.props])];
+    });
+  });
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+module.exports = { GRAPH_FORMATS, formatGraph, toMermaid, toDot, mergeGraphs };
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// A pending run never finished: the process died partway through its writes
+const UNDOABLE = ['committed', 'pending'];
+
+function hash(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+// Every run is recorded as a manifest of the files it created or modified,
+// with the original contents, so a failed write can be rolled back and a
+// finished or interrupted run can be undone later
+class TransactionHistory {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || '.';
+    this.historyDir = path.join(this.rootDir, '.modularizer', 'history');
+  }
+
+  manifestPath(id) {
+    return path.join(this.historyDir, `${id}.json`);
+  }
+
+  saveManifest(manifest) {
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    fs.writeFileSync(this.manifestPath(manifest.id), JSON.stringify(manifest, null, 2), 'utf8');
+  }
+
+  createId() {
+    const base = new Date().toISOString().replace(/[:.]/g, '-');
+    let id = base;
+    let suffix = 1;
+    while (fs.existsSync(this.manifestPath(id))) {
+      id = `${base}-${suffix++}`;
+    }
+    return id;
+  }
+
+  // Writes the change set, or restores every touched file if any write fails
+  apply(changes, { source } = {}) {
+    const manifest = {
+      id: this.createId(),
+      createdAt: new Date().toISOString(),
+      source: source || null,
+      status: 'pending',
+      files: changes.map(change => ({
+        path: path.relative(this.rootDir, change.filePath).split(path.sep).join('/'),
+        action: change.before === null ? 'create' : 'modify',
+        original: change.before,
+        hash: hash(change.after)
+      }))
+    };
+    
+    // Saved before touching anything, so even a crash leaves a way back
+    this.saveManifest(manifest);
+    
+    const written = [];
+    try {
+      changes.forEach((change, index) => {
+        // Recorded first: a write that fails halfway may already have truncated the file
+        written.push(manifest.files[index]);
+        fs.mkdirSync(path.dirname(change.filePath), { recursive: true });
+        fs.writeFileSync(change.filePath, change.after, 'utf8');
+      });
+    } catch (error) {
+      this.restore(written);
+      manifest.status = 'rolled-back';
+      manifest.error = error.message;
+      this.saveManifest(manifest);
+      throw new Error(`Write failed, all changes were rolled back: ${error.message}`);
+    }
+    
+    manifest.status = 'committed';
+    this.saveManifest(manifest);
+    return manifest;
+  }
+
+  restore(files) {
+    [...files].reverse().forEach(file => {
+      const filePath = path.join(this.rootDir, file.path);
+      
+      if (file.action === 'create') {
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+          fs.unlinkSync(filePath);
+        }
+        this.removeEmptyDirectories(path.dirname(filePath));
+      } else {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, file.original, 'utf8');
+      }
+    });
+  }
+
+  removeEmptyDirectories(directory) {
+    const root = path.resolve(this.rootDir);
+    let current = path.resolve(directory);
+    
+    while (current !== root && current.startsWith(root) && fs.existsSync(current) &&
+           fs.statSync(current).isDirectory() && fs.readdirSync(current).length === 0) {
+      fs.rmdirSync(current);
+      current = path.dirname(current);
+    }
+  }
+
+  list() {
+    if (!fs.existsSync(this.historyDir)) return [];
+    
+    return fs.readdirSync(this.historyDir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => JSON.parse(fs.readFileSync(path.join(this.historyDir, file), 'utf8')));
+  }
+
+  undo(id = null, { force = false } = {}) {
+    const transactions = this.list();
+    const manifest = id
+      ? transactions.find(transaction => transaction.id === id)
+      : transactions.reverse().find(transaction => UNDOABLE.includes(transaction.status));
+    
+    if (!manifest) {
+      throw new Error(id ? `No run with id ${id}` : 'Nothing to undo');
+    }
+    if (!UNDOABLE.includes(manifest.status)) {
+      throw new Error(`Run ${manifest.id} cannot be undone (status: ${manifest.status})`);
+    }
+    
+    // Refuse to clobber edits made after the run unless asked to
+    const edited = manifest.files.filter(file => {
+      const filePath = path.join(this.rootDir, file.path);
+      if (!fs.existsSync(filePath)) return false;
+      
+      const content = fs.readFileSync(filePath, 'utf8');
+      // An interrupted run may not have reached the file yet
+      const untouched = manifest.status === 'pending' && content === file.original;
+      return hash(content) !== file.hash && !untouched;
+    });
+    if (edited.length > 0 && !force) {
+      throw new Error(`Files changed since run ${manifest.id}: ${edited.map(file => file.path).join(', ')} (use --force to undo anyway)`);
+    }
+    
+    this.restore(manifest.files);
+    manifest.status = 'undone';
+    manifest.undoneAt = new Date().toISOString();
+    this.saveManifest(manifest);
+    
+    return manifest;
+  }
+}
+
+module.exports = TransactionHistory;
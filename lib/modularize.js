@@ -0,0 +1,437 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const ReactModularizer = require('./modularizer.js');
+const ProjectModularizer = require('./project.js');
+const TransactionHistory = require('./history.js');
+const { loadConfig, normalizeConfig } = require('./config.js');
+const { GRAPH_FORMATS, formatGraph } = require('./graph.js');
+
+const EXIT_SUCCESS = 0;
+const EXIT_CHANGES = 1; // --check found something to extract
+const EXIT_ERROR = 2;
+
+const HELP = `Usage: modularize [files, directories or globs...] [options]
+       modularize history [--json]
+       modularize undo [run-id] [--force]
+       modularize analyze [files or globs...] [--json]
+
+Extracts the React components in each file into files of their own.
+Without any files, ./App.jsx is used. A directory is scanned like a project:
+the files under its pages/, app/ and src/, leaving out tests, stories and API
+routes. Given on its own, it is also where the config is read from and the
+components are written. analyze only measures each component and suggests
+what to split, without changing anything.
+
+Options:
+  -o, --out-dir <dir>    Where components are written (default: from the config, else ./components)
+  -e, --ext <ext>        Component file extension: .jsx, .js, .tsx or .ts
+      --layout <layout>  flat (components/Card.jsx) or folder (components/Card/index.jsx)
+      --per-file         Give each file a components folder of its own, following its path
+                         (pages/about.jsx -> components/pages/about/Card.jsx)
+      --barrel           Re-export every component from components/index.js and import from it
+      --tests            Scaffold a Testing Library smoke test for each component
+      --stories          Scaffold a Storybook story for each component
+      --infer-props      Add propTypes (or a Props interface in TypeScript) inferred from usage
+      --on-conflict <s>  When a component file exists: fail (default), skip, rename or overwrite
+      --only <names>     Only extract these components, hooks, contexts or utils (comma-separated)
+      --exclude <names>  Never extract these (comma-separated names, globs or /regexes/)
+  -c, --config <file>    Config file (default: modularizer.config.js or "modularizer" in package.json)
+      --dry-run          Print a diff of what would change, without writing
+      --check            Like --dry-run, but exit with 1 if anything would change
+      --json             Print a machine-readable report to stdout
+      --graph <format>   Print the component dependency graph: json, mermaid or dot
+  -q, --quiet            Only print errors
+      --force            With undo: restore files even if they were edited since
+  -h, --help             Show this help
+
+Exit codes:
+  0  Success, including when there is nothing to extract
+  1  --check found files that would change
+  2  Invalid arguments, unreadable or unparsable input, a conflict with --on-conflict fail,
+     or a failed write
+`;
+
+const OPTIONS = [
+  { name: 'out-dir', alias: 'o', key: 'outDir', value: true },
+  { name: 'ext', alias: 'e', key: 'ext', value: true },
+  { name: 'layout', key: 'layout', value: true },
+  { name: 'per-file', key: 'perFile' },
+  { name: 'barrel', key: 'barrel' },
+  { name: 'tests', key: 'tests' },
+  { name: 'stories', key: 'stories' },
+  { name: 'infer-props', key: 'inferProps' },
+  { name: 'on-conflict', key: 'onConflict', value: true },
+  { name: 'only', key: 'only', value: true },
+  { name: 'exclude', key: 'exclude', value: true },
+  { name: 'config', alias: 'c', key: 'config', value: true },
+  { name: 'dry-run', key: 'dryRun' },
+  { name: 'check', key: 'check' },
+  { name: 'json', key: 'json' },
+  { name: 'graph', key: 'graph', value: true },
+  { name: 'quiet', alias: 'q', key: 'quiet' },
+  { name: 'force', key: 'force' },
+  { name: 'help', alias: 'h', key: 'help' }
+];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+    
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+    const option = OPTIONS.find(candidate =>
+      flag === `--${candidate.name}` || (candidate.alias && flag === `-${candidate.alias}`)
+    );
+    if (!option) {
+      throw new UsageError(`Unknown option: ${flag}`);
+    }
+    
+    if (!option.value) {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`${flag} does not take a value`);
+      }
+      options[option.key] = true;
+      continue;
+    }
+    
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value === '' || (inlineValue === undefined && value.startsWith('-'))) {
+      throw new UsageError(`${flag} needs a value`);
+    }
+    options[option.key] = value;
+  }
+
+  return { positionals, options };
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Literal paths are taken as they are, directories are searched like a project
+// root, and anything else is a glob from the cwd
+function resolveInputs(patterns) {
+  if (patterns.length === 0) {
+    if (!fs.existsSync('App.jsx')) {
+      throw new UsageError('No input files given and ./App.jsx not found');
+    }
+    return ['App.jsx'];
+  }
+
+  const files = new Set();
+
+  patterns.forEach(pattern => {
+    if (fs.existsSync(pattern)) {
+      if (fs.statSync(pattern).isDirectory()) {
+        const found = new ProjectModularizer({ rootDir: pattern, verbose: false }).findSourceFiles();
+        if (found.length === 0) {
+          throw new UsageError(`No files in ${pattern} under pages/, app/ or src/ (use a glob like ${pattern.replace(/\/$/, '')}/**/*.jsx)`);
+        }
+        found.forEach(file => files.add(path.normalize(file)));
+        return;
+      }
+      files.add(path.normalize(pattern));
+      return;
+    }
+    
+    const finder = new ProjectModularizer({ include: [pattern.replace(/^\.\//, '')], exclude: [], verbose: false });
+    const matched = finder.findSourceFiles();
+    if (matched.length === 0) {
+      throw new UsageError(`No files match ${pattern}`);
+    }
+    matched.forEach(file => files.add(path.normalize(file)));
+  });
+
+  return [...files];
+}
+
+// A lone directory argument is the project root: its config, output and run history live in it
+function projectRootOf(patterns) {
+  return patterns.length === 1 && fs.existsSync(patterns[0]) && fs.statSync(patterns[0]).isDirectory() ? patterns[0] : null;
+}
+
+function buildConfig(options, rootDir = '.') {
+  const config = loadConfig(rootDir, options.config);
+  const raw = { ...config, components: { ...config.components }, output: { ...config.output } };
+
+  if (options.only) {
+    raw.components.include = splitList(options.only);
+  }
+  if (options.exclude) {
+    raw.components.exclude = [...config.components.exclude, ...splitList(options.exclude)];
+  }
+  if (options.onConflict) {
+    raw.output.onConflict = options.onConflict;
+  }
+  if (options.layout) {
+    raw.output.layout = options.layout;
+  }
+  if (options.barrel) {
+    raw.output.barrel = true;
+  }
+  if (options.tests) {
+    raw.output.tests = true;
+  }
+  if (options.stories) {
+    raw.output.stories = true;
+  }
+  if (options.inferProps) {
+    raw.output.inferProps = true;
+  }
+  if (options.ext) {
+    raw.output.extension = options.ext.startsWith('.') ? options.ext : `.${options.ext}`;
+  }
+
+  try {
+    return normalizeConfig(raw, config.rootDir);
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+function summarizeChanges(changes) {
+  return changes.map(change => ({
+    path: path.normalize(change.filePath).split(path.sep).join('/'),
+    action: change.before === null ? 'create' : 'modify'
+  }));
+}
+
+async function modularizeSingle(file, options, config) {
+  const modularizer = new ReactModularizer({
+    appFilePath: file,
+    componentsDir: options.outDir,
+    config,
+    dryRun: Boolean(options.dryRun),
+    check: Boolean(options.check),
+    verbose: !options.quiet && !options.json
+  });
+
+  const report = { files: [], skipped: [], errors: [], changes: [], transactionId: null, graph: null };
+
+  try {
+    const result = await modularizer.run();
+    
+    if (result.components.length + result.modules.length === 0) {
+      report.skipped.push({ file, reason: 'nothing to extract' });
+    } else {
+      report.files.push({
+        file,
+        componentsDir: modularizer.componentsDir,
+        components: result.components.map(component => component.name),
+        modules: result.modules.map(sharedModule => sharedModule.filePath),
+        warnings: result.warnings,
+        conflicts: result.conflicts,
+        detections: result.detections
+      });
+    }
+    report.changes = summarizeChanges(result.changes);
+    report.transactionId = result.transactionId || null;
+    report.graph = result.graph;
+  } catch (error) {
+    // Already printed by run()
+    report.errors.push({ file, reason: error.message });
+  }
+
+  return report;
+}
+
+async function modularizeMany(files, options, config, rootDir = '.') {
+  const project = new ProjectModularizer({
+    rootDir,
+    files,
+    componentsDir: options.outDir,
+    layout: options.perFile ? 'per-file' : 'shared',
+    config,
+    dryRun: Boolean(options.dryRun),
+    check: Boolean(options.check),
+    verbose: !options.quiet && !options.json
+  });
+
+  const result = await project.run();
+
+  return {
+    files: result.files.map(({ changes, skipped, graph, ...entry }) => entry),
+    skipped: result.skipped,
+    errors: result.errors,
+    changes: summarizeChanges(result.changes),
+    transactionId: result.transactionId || null,
+    graph: result.graph
+  };
+}
+
+const METRIC_COLUMNS = [
+  ['lines', 'Lines'],
+  ['jsxDepth', 'JSX depth'],
+  ['hooks', 'Hooks'],
+  ['stateVariables', 'State'],
+  ['complexity', 'Complexity'],
+  ['props', 'Props']
+];
+
+function formatAnalysis(file, report) {
+  if (report.components.length === 0) {
+    return `📊 ${file}: no components found`;
+  }
+
+  // Values over their threshold are marked with a !
+  const header = ['Component', ...METRIC_COLUMNS.map(([, label]) => label)];
+  const rows = report.components.map(component => [
+    component.app ? `${component.name} (app)` : component.name,
+    ...METRIC_COLUMNS.map(([metric]) =>
+      `${component[metric]}${component.flags.some(flag => flag.metric === metric) ? '!' : ' '}`
+    )
+  ]);
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const formatRow = row => row
+    .map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])))
+    .join('  ')
+    .trimEnd();
+
+  const lines = [`📊 ${file}`, `  ${formatRow(header)}`, ...rows.map(row => `  ${formatRow(row)}`)];
+
+  report.components.filter(component => component.flags.length > 0).forEach(component => {
+    const over = component.flags.map(flag => `${flag.metric} ${flag.value} > ${flag.max}`).join(', ');
+    lines.push(`  ⚠️  ${component.name} is a candidate for splitting (${over})`);
+  });
+  report.components.forEach(component => {
+    component.suggestions.forEach(suggestion => {
+      lines.push(`  💡 ${suggestion.component} ${suggestion.start.line}:${suggestion.start.column}  ${suggestion.reason}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+async function runAnalyzeCommand(positionals, options) {
+  const config = buildConfig(options, projectRootOf(positionals) || '.');
+  const files = resolveInputs(positionals);
+  const reports = [];
+  const errors = [];
+
+  for (const file of files) {
+    const modularizer = new ReactModularizer({ appFilePath: file, config, verbose: false });
+    try {
+      const { thresholds, ...report } = await modularizer.analyze(fs.readFileSync(file, 'utf8'));
+      reports.push({ file, ...report });
+    } catch (error) {
+      errors.push({ file, reason: error.message });
+      console.error(`❌ ${file}: ${error.message}`);
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ thresholds: config.analyze, files: reports, errors }, null, 2));
+  } else {
+    console.log(reports.map(report => formatAnalysis(report.file, report)).join('\n\n'));
+  }
+
+  return errors.length > 0 ? EXIT_ERROR : EXIT_SUCCESS;
+}
+
+function runHistoryCommand(command, positionals, options) {
+  const history = new TransactionHistory();
+
+  if (command === 'history') {
+    const runs = history.list();
+    if (options.json) {
+      console.log(JSON.stringify(runs.map(({ files, ...run }) => ({ ...run, files: files.map(file => file.path) })), null, 2));
+    } else {
+      runs.forEach(run => {
+        const status = run.status === 'pending' ? 'interrupted' : run.status;
+        console.log(`${run.id}  ${status.padEnd(11)}  ${run.files.length} file(s)  ${run.source || ''}`);
+      });
+    }
+    return EXIT_SUCCESS;
+  }
+
+  const run = history.undo(positionals[0], { force: Boolean(options.force) });
+  if (options.json) {
+    console.log(JSON.stringify({ undone: run.id, files: run.files.map(file => file.path) }, null, 2));
+  } else if (!options.quiet) {
+    console.log(`↩️  Undid run ${run.id}:`);
+    run.files.forEach(file => {
+      console.log(`  ✓ ${file.action === 'create' ? 'Removed' : 'Restored'}: ${file.path}`);
+    });
+  }
+  return EXIT_SUCCESS;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\nRun modularize --help for usage.`);
+    return EXIT_ERROR;
+  }
+
+  const { positionals, options } = parsed;
+
+  if (options.help) {
+    console.log(HELP);
+    return EXIT_SUCCESS;
+  }
+
+  try {
+    if (positionals[0] === 'history' || positionals[0] === 'undo') {
+      return runHistoryCommand(positionals[0], positionals.slice(1), options);
+    }
+    if (positionals[0] === 'analyze') {
+      return await runAnalyzeCommand(positionals.slice(1), options);
+    }
+    
+    if (options.graph && !GRAPH_FORMATS.includes(options.graph)) {
+      throw new UsageError(`Invalid --graph format: ${options.graph} (use ${GRAPH_FORMATS.join(', ')})`);
+    }
+    
+    const rootDir = projectRootOf(positionals);
+    const config = buildConfig(options, rootDir || '.');
+    const files = resolveInputs(positionals);
+    
+    // --per-file is a project layout, so it goes through project mode even for one file
+    const { graph, ...report } = files.length === 1 && !options.perFile && !rootDir
+      ? await modularizeSingle(files[0], options, config)
+      : await modularizeMany(files, options, config, rootDir || '.');
+    
+    if (options.json) {
+      // The graph joins the report: as an object for json, as text for mermaid and dot
+      const extra = options.graph && graph
+        ? { graph: options.graph === 'json' ? graph : formatGraph(graph, options.graph) }
+        : {};
+      console.log(JSON.stringify({ dryRun: Boolean(options.dryRun), check: Boolean(options.check), ...report, ...extra }, null, 2));
+    } else if (options.graph && graph) {
+      console.log(formatGraph(graph, options.graph));
+    }
+    
+    if (report.errors.length > 0) return EXIT_ERROR;
+    if (options.check && report.changes.length > 0) return EXIT_CHANGES;
+    return EXIT_SUCCESS;
+  } catch (error) {
+    const hint = error instanceof UsageError ? '\nRun modularize --help for usage.' : '';
+    console.error(`❌ ${error.message}${hint}`);
+    return EXIT_ERROR;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main, parseArgs };
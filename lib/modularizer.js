@@ -1,10 +1,74 @@
 
-
 const fs = require('fs');
 const path = require('path');
+const { formatChangeSet } = require('./diff.js');
+const TransactionHistory = require('./history.js');
+const { loadConfig, isComponentIncluded, outputDirFor, fileNameFor } = require('./config.js');
+const { loadPathAliases, aliasFor } = require('./aliases.js');
 
 // Dynamic imports for better error handling
-let parser, traverse, generate, prettier;
+let parser, traverse, generate, prettier, t;
+
+const COMPONENT_EXTENSIONS = ['.jsx', '.js', '.tsx', '.ts'];
+
+// Calls that wrap a function into a component, with or without `React.`
+const COMPONENT_FACTORIES = ['memo', 'forwardRef', 'lazy'];
+
+// Base classes of class components, with or without `React.`
+const COMPONENT_BASE_CLASSES = ['Component', 'PureComponent'];
+
+// Assignments that configure a component and move along with it
+const STATIC_PROPERTIES = ['displayName', 'propTypes', 'defaultProps'];
+
+const HOOK_NAME = /^use[A-Z0-9]/;
+
+// Referencing any of these means a file only works as a client component
+const BROWSER_GLOBALS = ['window', 'document', 'localStorage', 'sessionStorage', 'navigator'];
+const CLIENT_ONLY_REACT_APIS = ['createContext', 'Component', 'PureComponent'];
+
+// Array methods whose callback's first parameter is an element of the array
+const ITERATION_METHODS = ['map', 'flatMap', 'forEach', 'filter', 'find', 'some', 'every'];
+
+// Methods that only exist on one type, so calling one on a prop gives its type away
+const TYPE_METHODS = {
+  array: ITERATION_METHODS,
+  string: ['toUpperCase', 'toLowerCase', 'trim', 'split', 'startsWith', 'endsWith', 'padStart', 'padEnd', 'charAt', 'replace'],
+  number: ['toFixed', 'toPrecision']
+};
+
+// DOM attributes with a known value type, for props passed straight through
+const DOM_ATTRIBUTE_TYPES = {
+  string: ['className', 'id', 'href', 'src', 'alt', 'title', 'placeholder', 'htmlFor', 'type', 'name'],
+  boolean: ['disabled', 'checked', 'hidden', 'required', 'readOnly']
+};
+
+// Names for JSX regions worth extracting, from the element that wraps them
+const REGION_NAMES = {
+  header: 'Header',
+  footer: 'Footer',
+  nav: 'Navigation',
+  aside: 'Sidebar',
+  main: 'MainContent',
+  form: 'Form',
+  table: 'Table',
+  ul: 'List',
+  ol: 'List',
+  dialog: 'Dialog'
+};
+
+// What gets extracted besides components, keyed to its `extract` config category
+const MODULE_CATEGORIES = { hook: 'hooks', context: 'contexts', util: 'utils' };
+
+// Formatting, positions and comments don't make two modules different
+const NON_STRUCTURAL_KEYS = ['start', 'end', 'loc', 'range', 'extra', 'leadingComments', 'trailingComments', 'innerComments'];
+
+// Used when no Prettier config or .editorconfig applies to an output file
+const DEFAULT_FORMAT_OPTIONS = {
+  semi: true,
+  singleQuote: true,
+  tabWidth: 2,
+  trailingComma: 'es5'
+};
 
 async function loadDependencies() {
   try {
@@ -12,10 +76,11 @@ async function loadDependencies() {
     traverse = require('@babel/traverse').default;
     generate = require('@babel/generator').default;
     prettier = require('prettier');
+    t = require('@babel/types');
     return true;
   } catch (error) {
     console.error('❌ Missing dependencies. Please install:');
-    console.log('npm install @babel/parser @babel/traverse @babel/generator prettier');
+    console.log('npm install @babel/parser @babel/traverse @babel/generator @babel/types prettier');
     return false;
   }
 }
@@ -25,8 +90,53 @@ class ReactModularizer {
     this.extractedComponents = [];
     this.imports = [];
     this.appFilePath = options.appFilePath || './App.jsx';
-    this.componentsDir = options.componentsDir || './components';
-    this.requiredImports = new Set();
+    
+    // modularizer.config.js or package.json, overridden by explicit options
+    this.config = options.config || loadConfig(options.configRoot || '.', options.configPath);
+    this.componentsDir = options.componentsDir || outputDirFor(this.config, this.appFilePath);
+    this.extension = options.extension || this.config.output.extension; // null picks from the source
+    this.fileNameCase = options.fileNameCase || this.config.output.fileNameCase;
+    this.layout = options.layout || this.config.output.layout;
+    this.barrel = options.barrel ?? this.config.output.barrel;
+    this.pendingFiles = options.pendingFiles || null; // Barrels and shared modules already merged earlier in a project run
+    this.tests = options.tests ?? this.config.output.tests;
+    this.stories = options.stories ?? this.config.output.stories;
+    this.inferProps = options.inferProps ?? this.config.output.inferProps;
+    this.exportStyle = options.exportStyle || this.config.output.exportStyle;
+    this.minConfidence = options.minConfidence ?? this.config.components.minConfidence;
+    this.onConflict = options.onConflict || this.config.output.onConflict; // 'fail' | 'skip' | 'rename' | 'overwrite'
+    this.existingFiles = options.existingFiles // Checked instead of the disk, e.g. by the API
+      ? new Map(Object.entries(options.existingFiles).map(([filePath, content]) => [path.normalize(filePath), content]))
+      : null;
+    this.clientDirective = options.clientDirective ?? this.config.output.clientDirective; // 'auto' | true | false
+    this.pathAliases = (options.pathAliases ?? this.config.output.pathAliases)
+      ? loadPathAliases(this.config.rootDir)
+      : [];
+    this.sharedModulePath = options.sharedModulePath || './lib/shared.js';
+    this.typescript = options.typescript ?? 'auto'; // true | false | 'auto'
+    this.extractNested = options.extractNested || false;
+    this.skipComponents = options.skipComponents || [];
+    this.dryRun = options.dryRun || false;
+    this.check = options.check || false; // Dry run that reports whether anything would change
+    this.history = new TransactionHistory({ rootDir: options.historyRoot || '.' });
+    this.jsxSelections = options.extractJSX || []; // [{ name, start: { line, column }, end }]
+    this.formatting = options.formatting || 'project'; // 'project' | 'default' | 'prettier'
+    this.prettierOptions = options.prettierOptions || {}; // Always wins over the profile
+    this.jsxExtractions = [];
+    this.isTypeScript = false;
+    this.directives = [];
+    this.appRouter = false;
+    this.barrelPlan = null;
+    this.moduleTypeNames = new Set();
+    this.existingImports = [];
+    this.movedDeclarations = [];
+    this.warnings = [];
+    this.conflicts = [];
+    this.conflictSkips = new Set();
+    this.targetFiles = new Map();
+    this.detections = [];
+    this.renderedNames = new Set();
+    this.importBindings = new Map();
     this.verbose = options.verbose !== false; // Default to verbose
   }
 
@@ -51,21 +161,28 @@ class ReactModularizer {
       // Step 2: Process the code
       const result = await this.processCode(appContent);
       
-      if (result.components.length === 0) {
-        this.log('ℹ️  No extractable components found. App.jsx is already modular.\n');
+      // Hooks, contexts and utilities are worth a run on their own
+      if (result.components.length + result.modules.length === 0) {
+        this.log('ℹ️  Nothing to extract. App.jsx is already modular.\n');
+        result.changes = [];
+        if (this.check) {
+          this.displayChangeSet(result.changes);
+        }
         return result;
       }
       
-      // Step 3: Create components directory
-      this.ensureComponentsDirectory();
+      // Step 3: Work out every file that would be created or modified
+      result.changes = this.buildChangeSet(result);
       
-      // Step 4: Write component files
-      await this.writeComponentFiles(result.components);
+      if (this.dryRun || this.check) {
+        this.displayChangeSet(result.changes);
+        return result;
+      }
       
-      // Step 5: Save updated App.jsx
-      fs.writeFileSync(this.appFilePath, result.updatedApp, 'utf8');
+      // Step 4: Write components, shared modules and the updated App.jsx
+      result.transactionId = this.applyChangeSet(result.changes).id;
       
-      // Step 6: Display results
+      // Step 5: Display results
       this.displayResults(result);
       
       this.log('✅ Modularization complete!\n');
@@ -80,6 +197,58 @@ class ReactModularizer {
     }
   }
 
+  buildChangeSet(result) {
+    const changes = [];
+    
+    const addChange = (filePath, after) => {
+      const before = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+      if (before !== after) {
+        changes.push({ filePath, before, after });
+      }
+    };
+    
+    // Reused files are imported as they are
+    result.components
+      .filter(component => !component.reused)
+      .forEach(component => addChange(path.join(this.componentsDir, component.filename), component.code));
+    result.modules
+      .filter(extracted => !extracted.reused)
+      .forEach(extracted => addChange(extracted.filePath, extracted.code));
+    addChange(this.appFilePath, result.updatedApp);
+    
+    return changes;
+  }
+
+  applyChangeSet(changes) {
+    this.log('📝 Writing files...');
+    
+    // Recorded as one transaction: rolled back on failure, undoable later
+    const manifest = this.history.apply(changes, { source: this.appFilePath });
+    
+    changes.forEach(change => {
+      this.log(`  ✓ ${change.before === null ? 'Created' : 'Updated'}: ${path.normalize(change.filePath)}`);
+    });
+    this.log(`💾 Saved as run ${manifest.id} (undo with: modularize undo)`);
+    
+    return manifest;
+  }
+
+  displayChangeSet(changes) {
+    if (this.check) {
+      if (changes.length === 0) {
+        this.log(`✅ ${this.appFilePath} is already modular`);
+      } else {
+        this.log(`❌ ${this.appFilePath} would be modularized (${changes.length} file(s) would change)`);
+      }
+      return;
+    }
+    
+    this.log('🔎 Dry run - no files were written\n');
+    if (changes.length > 0) {
+      this.log(formatChangeSet(changes));
+    }
+  }
+
   async processCode(code) {
     // Load dependencies if not already loaded
     if (!parser) {
@@ -88,31 +257,139 @@ class ReactModularizer {
       }
     }
     
+    this.conflicts = [];
+    this.conflictSkips = new Set();
+    this.targetFiles = new Map();
+    
+    let result = await this.runPipeline(code);
+    
+    // Files already at the target paths can change what gets extracted where
+    if (this.resolveConflicts(this.outputFiles(result))) {
+      result = await this.runPipeline(code);
+    }
+    
+    this.outputFiles(result).forEach(({ name, output }) => {
+      const reused = this.conflicts.find(conflict =>
+        conflict.component === name && conflict.resolution === 'reused'
+      );
+      output.reused = Boolean(reused);
+      if (reused && output.filename) {
+        output.filename = path.relative(this.componentsDir, reused.filePath).split(path.sep).join('/');
+      } else if (reused) {
+        output.filePath = reused.filePath;
+      }
+    });
+    result.conflicts = this.conflicts;
+    
+    return result;
+  }
+
+  async analyze(code) {
+    // Metrics and split suggestions for every component in the file; nothing is extracted
+    if (!parser) {
+      if (!(await loadDependencies())) {
+        throw new Error('Failed to load required dependencies');
+      }
+    }
+    
+    this.warnings = [];
+    this.sourceCode = code;
+    
+    const ast = this.parseToAST(code);
+    this.isTypeScript = this.detectTypeScript(ast);
+    this.collectRenderedNames(ast);
+    this.collectElementUsages(ast);
+    
+    let programPath = null;
+    traverse(ast, {
+      Program(path) {
+        programPath = path;
+        path.stop();
+      }
+    });
+    
+    const components = this.analyzableComponents(programPath);
+    const takenNames = new Set([...Object.keys(programPath.scope.bindings), ...components.map(component => component.name)]);
+    const thresholds = this.config.analyze;
+    
+    const reports = components.map(component => {
+      const metrics = this.measureComponent(component);
+      const flags = Object.entries(metrics)
+        .map(([metric, value]) => ({ metric, value, max: thresholds[`max${metric[0].toUpperCase()}${metric.slice(1)}`] }))
+        .filter(flag => flag.value > flag.max);
+      
+      return {
+        name: component.name,
+        app: component.app,
+        line: component.path.node.loc.start.line,
+        ...metrics,
+        flags,
+        suggestions: this.suggestExtractions(component, metrics.lines, takenNames)
+      };
+    });
+    
+    return {
+      typescript: this.isTypeScript,
+      thresholds,
+      components: reports,
+      warnings: this.warnings
+    };
+  }
+
+  async runPipeline(code) {
     try {
       // Reset state
       this.extractedComponents = [];
       this.imports = [];
-      this.requiredImports = new Set();
+      this.existingImports = [];
+      this.importBindings = new Map();
+      this.movedDeclarations = [];
+      this.jsxExtractions = [];
+      this.warnings = [];
+      this.detections = [];
+      this.barrelPlan = null;
+      this.graph = { nodes: [], edges: [] };
+      this.sourceCode = code;
+      this.appEdits = [];
+      this.appEditsComplete = true;
+      this.insertedStatements = [];
       
       // Step 1: Parse into AST
       const ast = this.parseToAST(code);
+      this.isTypeScript = this.detectTypeScript(ast);
+      this.directives = ast.program.directives.map(directive => directive.value.value);
+      this.appRouter = this.usesAppRouter();
       
       // Step 2: Extract existing imports
       this.extractImports(ast);
       
-      // Step 3: Extract components
+      // Step 3: Turn selected JSX into components, then extract components
+      this.extractJSXElements(ast);
       this.extractComponents(ast);
       
       // Step 4: Generate component files data
       const components = await this.generateComponentFiles();
+      const modules = [
+        ...await this.generateExtractedModules(),
+        ...await this.generateBarrel(),
+        ...await this.generateScaffolds(),
+        ...await this.generateSharedModules()
+      ];
       
       // Step 5: Update App.jsx with imports
       const updatedAppContent = await this.updateAppFile(ast);
+      this.checkServerComponent(updatedAppContent);
       
       return {
         updatedApp: updatedAppContent,
         components,
-        extractedCount: this.extractedComponents.length
+        modules,
+        extractedCount: this.extractedComponents.length,
+        jsxExtractions: this.jsxExtractions,
+        typescript: this.isTypeScript,
+        detections: this.detections,
+        graph: this.graph,
+        warnings: this.warnings
       };
       
     } catch (error) {
@@ -120,6 +397,168 @@ class ReactModularizer {
     }
   }
 
+  outputFiles(result) {
+    // Every file extracted from App. The shared module and the barrel are added to
+    // rather than replaced (see generateSharedModules and planBarrel), and tests and
+    // stories are never written over, so none of them can conflict
+    return [
+      ...result.components.map(component => ({
+        name: component.name,
+        kind: 'component',
+        filePath: path.join(this.componentsDir, component.filename),
+        code: component.code,
+        output: component
+      })),
+      ...result.modules
+        .filter(extracted => MODULE_CATEGORIES[extracted.kind])
+        .map(extracted => ({ name: extracted.name, kind: extracted.kind, filePath: extracted.filePath, code: extracted.code, output: extracted }))
+    ];
+  }
+
+  resolveConflicts(outputs) {
+    const targets = new Set(outputs.map(output => path.resolve(output.filePath)));
+    const conflicting = [];
+    
+    outputs.forEach(output => {
+      const existing = this.findExistingTarget(output);
+      if (!existing) return;
+      
+      // Same code modulo formatting and comments - just import what's there
+      if (this.isSameModule(existing.content, output.code)) {
+        this.conflicts.push({ component: output.name, filePath: existing.filePath, resolution: 'reused' });
+        this.log(`  ♻️  Reusing existing ${existing.filePath}`);
+        return;
+      }
+      conflicting.push({ output, filePath: existing.filePath });
+    });
+    
+    if (conflicting.length === 0) return false;
+    
+    if (this.onConflict === 'fail') {
+      const files = conflicting.map(conflict => conflict.filePath).join(', ');
+      const error = new Error(`Target files already exist: ${files} (set onConflict to 'skip', 'rename' or 'overwrite')`);
+      error.conflicts = conflicting.map(conflict => ({
+        component: conflict.output.name,
+        filePath: conflict.filePath,
+        resolution: 'failed'
+      }));
+      throw error;
+    }
+    
+    let rerun = false;
+    
+    conflicting.forEach(({ output, filePath }) => {
+      const conflict = { component: output.name, filePath, resolution: null };
+      
+      if (this.onConflict === 'skip') {
+        this.conflictSkips.add(output.name);
+        conflict.resolution = 'skipped';
+        rerun = true;
+      } else if (this.onConflict === 'rename') {
+        const renamedTo = this.freeFilePath(output, targets);
+        targets.add(path.resolve(renamedTo));
+        this.targetFiles.set(output.name, renamedTo);
+        conflict.resolution = 'renamed';
+        conflict.renamedTo = renamedTo;
+        rerun = true;
+      } else {
+        conflict.resolution = 'overwritten';
+        
+        // Written over where it is, so the old file can't shadow the new one
+        if (path.resolve(filePath) !== path.resolve(output.filePath)) {
+          this.targetFiles.set(output.name, filePath);
+          rerun = true;
+        }
+      }
+      
+      this.conflicts.push(conflict);
+      this.log(`  ⚠️  ${filePath} already exists: ${conflict.resolution}${conflict.renamedTo ? ` to ${conflict.renamedTo}` : ''}`);
+    });
+    
+    return rerun;
+  }
+
+  findExistingTarget(output) {
+    // './components/Tree' imports components/Tree.jsx or, failing that, components/Tree/index.jsx,
+    // so an existing file in the other layout is the same target
+    const extension = path.extname(output.filePath);
+    const base = output.filePath.slice(0, -extension.length);
+    const otherLayout = output.kind === 'component' && path.basename(base) === 'index'
+      ? `${path.dirname(base)}${extension}`
+      : path.join(base, `index${extension}`);
+    
+    return this.findExistingFile(output.filePath) || this.findExistingFile(otherLayout);
+  }
+
+  findExistingFile(filePath) {
+    // Header.tsx next to a new Header.jsx would make './Header' ambiguous
+    const base = filePath.slice(0, -path.extname(filePath).length);
+    
+    for (const extension of COMPONENT_EXTENSIONS) {
+      const candidate = base + extension;
+      const content = this.readExistingFile(candidate);
+      if (content !== null) {
+        return { filePath: candidate, content };
+      }
+    }
+    return null;
+  }
+
+  readExistingFile(filePath) {
+    if (this.existingFiles) {
+      return this.existingFiles.get(path.normalize(filePath)) ?? null;
+    }
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  isSameModule(existingCode, generatedCode) {
+    try {
+      return this.structureOf(existingCode) === this.structureOf(generatedCode);
+    } catch (error) {
+      return false; // An unparsable file is never the same component
+    }
+  }
+
+  structureOf(code) {
+    const ast = this.parseToAST(code);
+    return JSON.stringify(ast.program, (key, value) => (NON_STRUCTURAL_KEYS.includes(key) ? undefined : value));
+  }
+
+  freeFilePath(output, targets) {
+    const directory = path.dirname(output.filePath);
+    const extension = path.extname(output.filePath);
+    // Header becomes AppHeader first; a hook like useFetch goes straight to useFetch2
+    const candidates = output.kind === 'component' ? [`${this.sourcePrefix()}${output.name}`] : [];
+    for (let i = 2; candidates.length < 100; i++) {
+      candidates.push(`${output.name}${i}`);
+    }
+    
+    const free = candidates
+      .map(name => (output.kind === 'component'
+        ? this.componentPath(name, extension)
+        : path.join(directory, `${fileNameFor(name, this.fileNameCase)}${extension}`)))
+      .find(candidate => !targets.has(path.resolve(candidate)) && !this.findExistingTarget({ ...output, filePath: candidate }));
+    
+    if (!free) {
+      throw new Error(`No free file name for ${output.name} in ${directory}`);
+    }
+    return free;
+  }
+
+  sourcePrefix() {
+    // pages/dashboard/index.jsx -> Dashboard, src/Settings.jsx -> Settings
+    let base = path.basename(this.appFilePath, path.extname(this.appFilePath));
+    if (['index', 'page', 'layout'].includes(base.toLowerCase())) {
+      base = path.basename(path.dirname(path.resolve(this.appFilePath)));
+    }
+    
+    return base
+      .split(/[^A-Za-z0-9]+/)
+      .filter(Boolean)
+      .map(word => word[0].toUpperCase() + word.slice(1))
+      .join('');
+  }
+
   readAppFile() {
     if (!fs.existsSync(this.appFilePath)) {
       throw new Error(`${this.appFilePath} not found in current directory`);
@@ -141,150 +580,2920 @@ class ReactModularizer {
     }
   }
 
+  detectTypeScript(ast) {
+    if (this.typescript !== 'auto') {
+      return Boolean(this.typescript);
+    }
+    
+    if (/\.tsx?$/.test(this.appFilePath)) {
+      return true;
+    }
+    
+    // Pasted code has no file name, so look for any type syntax instead
+    let found = false;
+    traverse(ast, {
+      enter(path) {
+        if (path.node.type.startsWith('TS') || path.node.importKind === 'type') {
+          found = true;
+          path.stop();
+        }
+      }
+    });
+    
+    return found;
+  }
+
   extractImports(ast) {
     const existingImports = [];
+    const importBindings = new Map();
     
     traverse(ast, {
       ImportDeclaration(path) {
         const importCode = generate(path.node, {}, '').code;
         existingImports.push(importCode);
         
-        if (path.node.source.value === 'react') {
-          this.requiredImports.add(importCode);
-        }
+        // Remember where every local binding comes from so extracted
+        // components can import exactly what they reference
+        path.node.specifiers.forEach(specifier => {
+          let kind = 'named';
+          if (specifier.type === 'ImportDefaultSpecifier') kind = 'default';
+          if (specifier.type === 'ImportNamespaceSpecifier') kind = 'namespace';
+          
+          importBindings.set(specifier.local.name, {
+            source: path.node.source.value,
+            kind,
+            imported: kind === 'named'
+              ? (specifier.imported.name || specifier.imported.value)
+              : null,
+            local: specifier.local.name,
+            typeOnly: path.node.importKind === 'type' || specifier.importKind === 'type',
+            order: existingImports.length - 1
+          });
+        });
       }
     });
     
     this.existingImports = existingImports;
+    this.importBindings = importBindings;
+  }
+
+  extractJSXElements(ast) {
+    const selections = [];
+    let programPath = null;
+    
+    traverse(ast, {
+      Program(path) {
+        programPath = path;
+      },
+      JSXAttribute(path) {
+        if (path.node.name.name !== 'data-extract') return;
+        
+        const value = path.node.value;
+        selections.push({
+          name: value?.type === 'StringLiteral' ? value.value : null,
+          element: path.parentPath.parentPath,
+          marker: path
+        });
+      }
+    });
+    
+    this.jsxSelections.forEach(selection => {
+      const element = this.findJSXElementInRange(ast, selection);
+      if (element) {
+        selections.push({ name: selection.name, element });
+      }
+    });
+    
+    if (selections.length === 0) return;
+    
+    // Innermost first, so an outer selection picks up the inner replacement
+    selections
+      .sort((a, b) => (a.element.node.end - a.element.node.start) - (b.element.node.end - b.element.node.start))
+      .forEach(selection => this.extractJSXElement(programPath, selection));
+    
+    programPath.scope.crawl();
+  }
+
+  findJSXElementInRange(ast, { name, start, end }) {
+    const toOffset = ({ line, column }) => line * 1e6 + column;
+    const from = toOffset(start);
+    const to = toOffset(end);
+    const inside = [];
+    let containing = null;
+    
+    traverse(ast, {
+      'JSXElement|JSXFragment'(path) {
+        const { loc } = path.node;
+        const elementStart = toOffset(loc.start);
+        const elementEnd = toOffset(loc.end);
+        
+        if (from <= elementStart && elementEnd <= to) {
+          // Largest element fully inside the selection wins
+          inside.push(path);
+          path.skip();
+        } else if (elementStart <= from && to <= elementEnd) {
+          containing = path;
+        }
+      }
+    });
+    
+    const where = `${start.line}:${start.column}-${end.line}:${end.column}`;
+    
+    if (inside.length > 1) {
+      this.warnings.push(`Selection ${where} for ${name} spans ${inside.length} sibling elements; select a single element`);
+      return null;
+    }
+    if (inside.length === 0 && !containing) {
+      this.warnings.push(`Selection ${where} for ${name} does not cover a JSX element`);
+      return null;
+    }
+    
+    return inside[0] || containing;
+  }
+
+  extractJSXElement(programPath, { name, element, marker }) {
+    const line = element.node.loc?.start.line;
+    const label = `JSX at line ${line}`;
+    
+    if (!name || !/^[A-Z][A-Za-z0-9]*$/.test(name)) {
+      this.warnings.push(`Cannot extract ${label}: "${name}" is not a valid component name`);
+      return;
+    }
+    if (programPath.scope.hasBinding(name) || this.jsxExtractions.some(e => e.name === name)) {
+      this.warnings.push(`Cannot extract ${label} as ${name}: the name is already taken`);
+      return;
+    }
+    
+    const programScope = programPath.scope;
+    const captures = new Map();
+    const problems = [];
+    
+    element.traverse({
+      ReferencedIdentifier(refPath) {
+        const refName = refPath.node.name;
+        const binding = refPath.scope.getBinding(refName);
+        if (!binding || binding.scope === programScope || binding.path.isDescendant(element)) return;
+        captures.set(refName, binding);
+      },
+      ThisExpression() {
+        problems.push('it uses `this`');
+      }
+    });
+    
+    captures.forEach((binding, capturedName) => {
+      if (binding.constantViolations.some(violation => violation.isDescendant(element))) {
+        problems.push(`it reassigns "${capturedName}"`);
+      }
+      if (capturedName === 'key' || capturedName === 'ref') {
+        problems.push(`"${capturedName}" cannot be passed as a prop`);
+      }
+    });
+    
+    if (problems.length > 0) {
+      this.warnings.push(`Cannot extract ${label} as ${name}: ${[...new Set(problems)].join('; ')}`);
+      return;
+    }
+    
+    const props = [...captures.keys()];
+    const subtree = element.node;
+    
+    if (marker) {
+      marker.remove();
+    }
+    const attributes = props.map(prop =>
+      t.jsxAttribute(t.jsxIdentifier(prop), t.jsxExpressionContainer(t.identifier(prop)))
+    );
+    
+    // A key only means something at the call site
+    if (subtree.type === 'JSXElement') {
+      const keyIndex = subtree.openingElement.attributes.findIndex(
+        attribute => attribute.type === 'JSXAttribute' && attribute.name.name === 'key'
+      );
+      if (keyIndex !== -1) {
+        attributes.unshift(...subtree.openingElement.attributes.splice(keyIndex, 1));
+      }
+    }
+    
+    const params = props.length > 0
+      ? [t.objectPattern(props.map(prop => t.objectProperty(t.identifier(prop), t.identifier(prop), false, true)))]
+      : [];
+    const component = t.functionDeclaration(
+      t.identifier(name),
+      params,
+      t.blockStatement([t.returnStatement(subtree)])
+    );
+    
+    const replacement = t.jsxElement(
+      t.jsxOpeningElement(t.jsxIdentifier(name), attributes, true), null, [], true
+    );
+    this.recordReplacement(subtree, generate(replacement).code);
+    element.replaceWith(replacement);
+    
+    const hostStatement = element.findParent(path => path.parentPath?.isProgram());
+    hostStatement.insertBefore(component);
+    this.insertedStatements.push({ node: component, before: hostStatement.node });
+    
+    this.jsxExtractions.push({ name, props, line });
+    this.log(`  ✓ Created component ${name} from ${label}`);
   }
 
   extractComponents(ast) {
     this.log('🔍 Scanning for extractable components...');
     
-    const componentsToRemove = [];
     const self = this;
     
+    // Babel's scope doesn't track TypeScript types, so collect them up front
+    this.moduleTypeNames = new Set(
+      ast.program.body
+        .map(node => (node.type === 'ExportNamedDeclaration' && node.declaration) || node)
+        .filter(node => this.isTypeDeclaration(node) || node.type === 'TSEnumDeclaration')
+        .map(node => node.id.name)
+    );
+    
+    this.collectRenderedNames(ast);
+    
     traverse(ast, {
       FunctionDeclaration(path) {
+        // Nested functions close over their parent's scope; only top-level
+        // declarations can be moved to a file of their own
+        const statement = self.topLevelStatement(path);
+        if (!statement) return;
+        
         const name = path.node.id?.name;
+        if (!name) return;
         
-        if (name && self.isExtractableComponent(name)) {
-          const componentCode = generate(path.node, {}, '').code;
-          
+        const kind = self.moduleKindOf(name, path);
+        
+        if (kind || self.considerComponent(name, path)) {
           self.extractedComponents.push({
             name,
-            code: componentCode,
+            kind: kind || 'component',
+            code: self.sourceOf(path.node),
+            comments: self.leadingCommentsOf(statement.node),
             type: 'function',
-            needsReact: self.componentNeedsReact(componentCode)
+            exported: statement !== path,
+            path: statement,
+            ...self.collectDependencies(statement, name)
           });
           
-          self.imports.push(`import ${name} from './components/${name}';`);
-          componentsToRemove.push(path);
+          self.log(kind ? `  ✓ Found ${kind}: ${name}` : `  ✓ Found function component: ${name}`);
+        }
+      },
+      
+      ClassDeclaration(path) {
+        const statement = self.topLevelStatement(path);
+        if (!statement) return;
+        
+        const name = path.node.id?.name;
+        const { functionPath, wrapper } = self.classCandidate(path);
+        
+        if (name && self.considerComponent(name, functionPath, wrapper)) {
+          self.extractedComponents.push({
+            name,
+            kind: 'component',
+            code: self.sourceOf(path.node),
+            comments: self.leadingCommentsOf(statement.node),
+            type: 'class',
+            exported: statement !== path,
+            path: statement,
+            ...self.collectDependencies(statement, name)
+          });
           
-          self.log(`  ✓ Found function component: ${name}`);
+          self.log(`  ✓ Found class component: ${name}`);
         }
       },
       
       VariableDeclaration(path) {
-        path.node.declarations.forEach(declarator => {
-          if (declarator.id?.name && 
-              (declarator.init?.type === 'ArrowFunctionExpression' || 
-               declarator.init?.type === 'FunctionExpression')) {
+        const statement = self.topLevelStatement(path);
+        if (!statement) return;
+        
+        const declarators = path.get('declarations');
+        
+        declarators.forEach(declarator => {
+          const name = declarator.node.id?.name;
+          if (!name) return;
+          
+          const kind = self.moduleKindOf(name, declarator.get('init'));
+          const candidate = kind ? null : self.componentCandidateOf(declarator.get('init'));
+          
+          if (kind || (candidate && self.considerComponent(name, candidate.functionPath, candidate.wrapper))) {
+            // `const A = () => ..., b = 1` only gives up the component's declarator
+            const single = declarators.length === 1;
             
-            const name = declarator.id.name;
+            self.extractedComponents.push({
+              name,
+              kind: kind || 'component',
+              code: single ? self.sourceOf(path.node) : `${path.node.kind} ${self.sourceOf(declarator.node)}`,
+              comments: single ? self.leadingCommentsOf(statement.node) : '',
+              type: 'arrow',
+              exported: statement !== path,
+              path: single ? statement : declarator,
+              ...self.collectDependencies(single ? statement : declarator, name)
+            });
             
-            if (name && self.isExtractableComponent(name)) {
-              const componentCode = generate(path.node, {}, '').code;
-              
-              self.extractedComponents.push({
-                name,
-                code: componentCode,
-                type: 'arrow',
-                needsReact: self.componentNeedsReact(componentCode)
-              });
-              
-              self.imports.push(`import ${name} from './components/${name}';`);
-              componentsToRemove.push(path);
-              
-              self.log(`  ✓ Found arrow function component: ${name}`);
-            }
+            self.log(kind ? `  ✓ Found ${kind}: ${name}` : `  ✓ Found ${candidate.label} component: ${name}`);
           }
         });
       }
     });
     
-    // Remove extracted components from AST
-    componentsToRemove.forEach(path => path.remove());
-  }
-
-  componentNeedsReact(code) {
-    return code.includes('useState') || 
-           code.includes('useEffect') || 
-           code.includes('React.') || 
-           code.includes('<') ||
-           code.includes('/>');
-  }
-
-  isExtractableComponent(name) {
-    const excludedNames = ['App', 'MyApp', 'Home', 'Index', 'Page', 'Layout'];
-    return name && 
-           name[0] === name[0].toUpperCase() && 
-           !excludedNames.includes(name) &&
-           name.length > 1;
-  }
-
-  async generateComponentFiles() {
-    const components = [];
+    // Components declared inside App's body need their closures lifted first
+    if (this.extractNested) {
+      this.extractNestedComponents(ast);
+    }
     
-    for (const component of this.extractedComponents) {
-      const fileName = `${component.name}.jsx`;
-      
-      let exportCode = '';
-      
-      // Add React import if needed
-      if (component.needsReact) {
-        exportCode += "import React from 'react';\n\n";
-      }
+    this.extractedComponents.forEach(component => {
+      component.statics = [];
+      component.members = [];
+    });
+    this.attachStaticAssignments(ast);
+    this.attachProviders();
+    
+    // Read before anything is removed, since components render each other
+    this.collectElementUsages(ast);
+    this.graph = this.buildGraph(ast);
+    this.inferPropShapes();
+    if (this.tests || this.stories) {
+      this.inferExampleProps();
+    }
+    
+    const componentsToRemove = this.extractedComponents.flatMap(component => this.pathsOf(component));
+    
+    // Module-level constants and helpers follow the components that use them
+    const declarationsToRemove = this.resolveModuleDeclarations(ast, componentsToRemove);
+    const removedPaths = [...componentsToRemove, ...declarationsToRemove];
+    
+    // Drop App imports that only the extracted code was using
+    this.pruneUnusedImports(ast, removedPaths);
+    
+    this.extractedComponents.forEach(component => {
+      component.dependencies = this.findComponentDependencies(component);
+      component.imports = this.buildComponentImports(component);
+      component.code = this.rebaseDynamicImports(component, this.componentFile(component));
+      component.members.forEach(member => {
+        member.code = this.rebaseDynamicImports(member, this.componentFile(component));
+      });
       
-      // Convert to export default format
-      if (component.type === 'function') {
-        exportCode += component.code.replace(/^function\s+\w+/, 'export default function ' + component.name);
-      } else {
-        exportCode += `${component.code};\n\nexport default ${component.name};`;
+      component.clientFeatures = this.appRouter ? this.clientFeaturesOf(component) : [];
+      if (component.clientFeatures.length > 0) {
+        this.log(`  ✓ Marking ${component.name} with 'use client' (${component.clientFeatures.join(', ')})`);
       }
-      
-      // Format with prettier
-      const formattedCode = await this.formatCode(exportCode);
-      
-      components.push({
-        name: component.name,
-        filename: fileName,
-        code: formattedCode
-      });
-    }
+    });
+    this.warnCircularDependencies();
     
-    return components;
-  }
-
-  ensureComponentsDirectory() {
-    if (!fs.existsSync(this.componentsDir)) {
-      fs.mkdirSync(this.componentsDir, { recursive: true });
-      this.log('📁 Created components directory');
-    }
+    // Remove extracted code from AST
+    removedPaths.forEach(path => this.removeFromApp(path));
+    
+    this.barrelPlan = this.planBarrel();
+    this.imports = this.buildAppImports(ast);
   }
 
-  async writeComponentFiles(components) {
-    this.log('📝 Writing component files...');
+  attachStaticAssignments(ast) {
+    // `Card.displayName = 'Card'` and friends belong in Card's file
+    const byName = new Map(this.extractedComponents.map(component => [component.name, component]));
     
-    for (const component of components) {
-      const filePath = path.join(this.componentsDir, component.filename);
-      fs.writeFileSync(filePath, component.code, 'utf8');
-      this.log(`  ✓ Created: components/${component.filename}`);
-    }
+    traverse(ast, {
+      Program: programPath => {
+        programPath.get('body').forEach(statement => {
+          const expression = statement.node.expression;
+          if (!statement.isExpressionStatement() || expression.type !== 'AssignmentExpression') return;
+          
+          const { left } = expression;
+          if (left.type !== 'MemberExpression' || left.computed || left.object.type !== 'Identifier') return;
+          
+          const component = byName.get(left.object.name);
+          if (!component || component.nested || !STATIC_PROPERTIES.includes(left.property.name)) return;
+          
+          const dependencies = this.collectDependencies(statement, component.name);
+          component.references = [...new Set([...component.references, ...dependencies.references])];
+          component.usesJSX = component.usesJSX || dependencies.usesJSX;
+          // Keep the blank line, or lack of one, that separated them
+          const previous = (component.statics[component.statics.length - 1] || component.path).node;
+          const start = this.commentBlockStart(statement.node);
+          const gap = previous.end < start && /\n\s*\n/.test(this.sourceCode.slice(previous.end, start)) ? '\n\n' : '\n';
+          component.code += `${gap}${this.leadingCommentsOf(statement.node)}${this.sourceOf(statement.node)}`;
+          component.statics.push(statement);
+        });
+        programPath.stop();
+      }
+    });
   }
 
-  async updateAppFile(ast) {
-    this.log('🔄 Updating App.jsx with imports...');
+  attachProviders() {
+    // ThemeProvider renders <ThemeContext.Provider>, so it lives in ThemeContext's file
+    const contexts = new Map(
+      this.extractedComponents
+        .filter(component => component.kind === 'context')
+        .map(component => [component.name, component])
+    );
+    if (contexts.size === 0) return;
+    
+    this.extractedComponents = this.extractedComponents.filter(component => {
+      if (component.kind !== 'component' || component.nested) return true;
+      
+      let context = null;
+      component.path.traverse({
+        JSXMemberExpression(memberPath) {
+          const { object, property } = memberPath.node;
+          if (property.name === 'Provider' && contexts.has(object.name)) {
+            context = contexts.get(object.name);
+            memberPath.stop();
+          }
+        }
+      });
+      if (!context) return true;
+      
+      context.members.push(component);
+      context.references = [...new Set([...context.references, ...component.references])]
+        .filter(name => name !== context.name);
+      context.usesJSX = context.usesJSX || component.usesJSX;
+      context.exported = context.exported || component.exported;
+      this.log(`  ✓ Keeping ${component.name} with ${context.name}`);
+      return false;
+    });
+  }
+
+  pathsOf(component) {
+    // Everything that leaves App along with it
+    return [
+      component.path,
+      ...component.statics,
+      ...component.members.flatMap(member => [member.path, ...member.statics])
+    ];
+  }
+
+  exportsOf(component) {
+    return [component.name, ...component.members.map(member => member.name)];
+  }
+
+  usesNamedExports(component) {
+    // A context file exports its provider too, so it can't have a single default
+    return component.kind === 'context' || this.exportStyle === 'named';
+  }
+
+  moduleKindOf(name, valuePath) {
+    if (!valuePath.node) return null;
+    
+    const isFunction = valuePath.isFunctionDeclaration() ||
+      valuePath.isArrowFunctionExpression() ||
+      valuePath.isFunctionExpression();
+    let kind = null;
+    
+    if (isFunction && HOOK_NAME.test(name)) {
+      kind = 'hook';
+    } else if (valuePath.isCallExpression() && this.reactCalleeName(valuePath.node.callee) === 'createContext') {
+      kind = 'context';
+    } else if (isFunction && /^[a-z]/.test(name)) {
+      kind = 'util';
+    }
+    
+    // --only and --exclude pick hooks, contexts and utils by name too, so a context
+    // isn't moved away from a provider that stays behind
+    if (!kind || !this.config.extract[MODULE_CATEGORIES[kind]].enabled || !isComponentIncluded(this.config, name) ||
+        this.conflictSkips.has(name) || this.skipComponents.includes(name)) {
+      return null;
+    }
+    return kind;
+  }
+
+  moduleDir(kind) {
+    // hooks/, contexts/ and utils/ sit next to the components folder
+    const { dir } = this.config.extract[MODULE_CATEGORIES[kind]];
+    return path.isAbsolute(dir) ? dir : path.join(path.dirname(this.componentsDir), dir);
+  }
+
+  usesAppRouter() {
+    if (this.clientDirective !== 'auto') return this.clientDirective;
+    
+    // Files with directives, or anywhere under an app/ folder, are App Router code
+    if (this.directives.includes('use client') || this.directives.includes('use server')) return true;
+    const relative = path.relative(this.config.rootDir, path.resolve(this.appFilePath));
+    return relative.split(path.sep).slice(0, -1).includes('app');
+  }
+
+  clientFeaturesOf(component) {
+    const features = new Set();
+    const paths = [
+      ...this.pathsOf(component),
+      ...this.movedDeclarations
+        .filter(declaration => declaration.target === component.name)
+        .map(declaration => declaration.path)
+    ];
+    
+    const checkClass = classPath => {
+      const baseName = this.reactCalleeName(classPath.node.superClass);
+      if (COMPONENT_BASE_CLASSES.includes(baseName)) {
+        features.add(baseName);
+      }
+    };
+    
+    paths.forEach(path => {
+      // traverse() only visits what's inside the path
+      const root = path.isExportNamedDeclaration() ? path.get('declaration') : path;
+      if (root.isClass()) {
+        checkClass(root);
+      }
+      
+      path.traverse({
+        Class: checkClass,
+        CallExpression: callPath => {
+          const calleeName = this.reactCalleeName(callPath.node.callee) || '';
+          if (HOOK_NAME.test(calleeName) || calleeName === 'createContext') {
+            features.add(calleeName);
+          }
+        },
+        JSXAttribute(attributePath) {
+          const { name, value } = attributePath.node;
+          if (/^on[A-Z]/.test(name.name) && value?.type === 'JSXExpressionContainer') {
+            features.add(name.name);
+          }
+        },
+        ReferencedIdentifier(refPath) {
+          const { name } = refPath.node;
+          if (BROWSER_GLOBALS.includes(name) && !refPath.scope.hasBinding(name)) {
+            features.add(name);
+          }
+        }
+      });
+    });
+    
+    return [...features];
+  }
+
+  checkServerComponent(appCode) {
+    // Without 'use client' the App file itself renders on the server
+    if (!this.appRouter || this.directives.includes('use client')) return;
+    
+    const clientImports = [];
+    this.parseToAST(appCode).program.body
+      .filter(node => node.type === 'ImportDeclaration' && node.importKind !== 'type')
+      .forEach(node => {
+        node.specifiers.forEach(specifier => {
+          const imported = specifier.type === 'ImportSpecifier'
+            ? specifier.imported.name ?? specifier.imported.value
+            : specifier.local.name;
+          const reactApi = node.source.value === 'react' && CLIENT_ONLY_REACT_APIS.includes(imported);
+          if (specifier.importKind !== 'type' && (HOOK_NAME.test(imported) || reactApi)) {
+            clientImports.push(`${imported} from '${node.source.value}'`);
+          }
+        });
+      });
+    
+    if (clientImports.length > 0) {
+      this.warnings.push(
+        `${path.basename(this.appFilePath)} is a server component but imports client-only ${clientImports.join(', ')}; ` +
+        `add 'use client' to it or move that code into a client component`
+      );
+    }
+  }
+
+  rebaseDynamicImports(component, toFile) {
+    // lazy(() => import('./Settings')) was written from App's folder too
+    const sources = new Set();
+    [component.path, ...component.statics].forEach(path => {
+      path.traverse({
+        CallExpression(callPath) {
+          const [source] = callPath.node.arguments;
+          if (callPath.node.callee.type === 'Import' && source?.type === 'StringLiteral' && source.value.startsWith('.')) {
+            sources.add(source.value);
+          }
+        }
+      });
+    });
+    
+    let code = component.code;
+    sources.forEach(source => {
+      const rebased = this.rebaseSource(source, toFile);
+      const escaped = source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      code = code.replace(new RegExp(`(import\\(\\s*)(['"])${escaped}\\2`, 'g'), (_, head, quote) => `${head}${quote}${rebased}${quote}`);
+    });
+    return code;
+  }
+
+  findComponentDependencies(component) {
+    const owners = new Map(
+      this.extractedComponents.flatMap(other => this.exportsOf(other).map(name => [name, other.name]))
+    );
+    const references = new Set(component.references);
+    
+    // Declarations moved into this file can render other components too
+    this.movedDeclarations
+      .filter(declaration => declaration.target === component.name)
+      .forEach(declaration => declaration.references.forEach(name => references.add(name)));
+    
+    const dependencies = [...references]
+      .map(name => owners.get(name))
+      .filter(owner => owner && owner !== component.name);
+    return [...new Set(dependencies)];
+  }
+
+  warnCircularDependencies() {
+    const graph = new Map(this.extractedComponents.map(c => [c.name, c.dependencies]));
+    const state = new Map(); // name -> 'visiting' | 'done'
+    const reported = new Set();
+    
+    const visit = (name, trail) => {
+      if (state.get(name) === 'done') return;
+      if (state.get(name) === 'visiting') {
+        const cycle = [...trail.slice(trail.indexOf(name)), name];
+        const key = [...cycle].slice(0, -1).sort().join(',');
+        if (!reported.has(key)) {
+          reported.add(key);
+          this.warnings.push(`Circular component reference: ${cycle.join(' → ')}`);
+        }
+        return;
+      }
+      
+      state.set(name, 'visiting');
+      graph.get(name).forEach(dependency => visit(dependency, [...trail, name]));
+      state.set(name, 'done');
+    };
+    
+    graph.forEach((_, name) => visit(name, []));
+  }
+
+  buildAppImports(ast) {
+    const componentNames = new Set(this.extractedComponents.flatMap(c => this.exportsOf(c)));
+    const used = new Set();
+    
+    // Extracted bindings are gone from scope, so what App still renders
+    // shows up as unbound references
+    traverse(ast, {
+      ReferencedIdentifier(refPath) {
+        const name = refPath.node.name;
+        if (componentNames.has(name) && !refPath.scope.hasBinding(name)) {
+          used.add(name);
+        }
+      }
+    });
+    
+    // Components the barrel re-exports come from it in one statement
+    const barrelNames = this.barrelPlan ? this.barrelPlan.names : new Set();
+    const barrelSpecifier = this.barrelPlan && this.importSpecifier(this.appFilePath, this.barrelPlan.filePath);
+    const fromBarrel = [...barrelNames].filter(name => used.has(name));
+    
+    const imports = fromBarrel.length > 0 ? [`import { ${fromBarrel.join(', ')} } from '${barrelSpecifier}';`] : [];
+    this.extractedComponents
+      .filter(component => !barrelNames.has(component.name))
+      .filter(component => this.exportsOf(component).some(name => used.has(name)))
+      .forEach(component => imports.push(this.componentImport(component, this.appFilePath, used)));
+    
+    const appSharedNames = new Set(
+      this.movedDeclarations
+        .filter(declaration => declaration.target === 'shared' && declaration.usedByApp)
+        .flatMap(declaration => declaration.names)
+    );
+    imports.push(...this.buildSharedImports(appSharedNames, this.appFilePath));
+    
+    // Whatever App exported before is still exported from the same place
+    const exportedFromBarrel = this.extractedComponents
+      .filter(component => component.exported && barrelNames.has(component.name))
+      .map(component => component.name);
+    if (exportedFromBarrel.length > 0) {
+      imports.push(`export { ${exportedFromBarrel.join(', ')} } from '${barrelSpecifier}';`);
+    }
+    this.extractedComponents
+      .filter(component => component.exported && !barrelNames.has(component.name))
+      .forEach(component => imports.push(this.componentReexport(component, this.appFilePath)));
+    
+    const exportedSharedNames = new Set(
+      this.movedDeclarations
+        .filter(declaration => declaration.target === 'shared' && declaration.exported)
+        .flatMap(declaration => declaration.names)
+    );
+    imports.push(...this.buildSharedImports(exportedSharedNames, this.appFilePath, 'export'));
+    
+    return imports;
+  }
+
+  extractNestedComponents(ast) {
+    const takenNames = new Set(this.extractedComponents.map(component => component.name));
+    let candidates = [];
+    
+    this.findComponentHosts(ast).forEach(hostPath => {
+      hostPath.get('body.body').forEach(statement => {
+        let name = null;
+        let type = null;
+        
+        if (statement.isFunctionDeclaration()) {
+          name = statement.node.id?.name;
+          type = 'function';
+        } else if (statement.isVariableDeclaration() && statement.node.declarations.length === 1) {
+          const declarator = statement.node.declarations[0];
+          if (declarator.id.type === 'Identifier' &&
+              (declarator.init?.type === 'ArrowFunctionExpression' ||
+               declarator.init?.type === 'FunctionExpression')) {
+            name = declarator.id.name;
+            type = 'arrow';
+          }
+        }
+        
+        if (!name) return;
+        
+        const functionPath = type === 'function' ? statement : statement.get('declarations.0.init');
+        if (!this.considerComponent(name, functionPath)) return;
+        
+        if (takenNames.has(name)) {
+          this.warnings.push(`Nested component ${name} clashes with another component of the same name; left in place`);
+          return;
+        }
+        takenNames.add(name);
+        
+        candidates.push({
+          name,
+          type,
+          path: statement,
+          functionPath,
+          binding: statement.scope.getBinding(name)
+        });
+      });
+    });
+    
+    // Dropping one candidate turns it into a plain capture of the others,
+    // so keep re-checking until the set is stable
+    let changed = true;
+    while (changed) {
+      changed = false;
+      const candidateBindings = new Map(candidates.map(candidate => [candidate.binding, candidate]));
+      
+      candidates.forEach(candidate => this.analyzeNestedCaptures(candidate, candidateBindings));
+      
+      const unsafe = candidates.filter(candidate => candidate.problems.length > 0);
+      if (unsafe.length > 0) {
+        unsafe.forEach(candidate => {
+          this.warnings.push(`Cannot lift nested component ${candidate.name}: ${candidate.problems.join('; ')}`);
+        });
+        candidates = candidates.filter(candidate => candidate.problems.length === 0);
+        changed = true;
+      }
+    }
+    
+    // A component that renders another nested one must also receive
+    // everything that one captures, to forward it at the call site
+    changed = true;
+    while (changed) {
+      changed = false;
+      candidates.forEach(candidate => {
+        candidate.nestedDependencies.forEach(dependency => {
+          dependency.captures.forEach((binding, captured) => {
+            if (!candidate.captures.has(captured)) {
+              candidate.captures.set(captured, binding);
+              changed = true;
+            }
+          });
+        });
+      });
+    }
+    
+    candidates.forEach(candidate => {
+      const problem = this.checkLiftedParams(candidate);
+      if (problem) {
+        candidate.problems.push(problem);
+        this.warnings.push(`Cannot lift nested component ${candidate.name}: ${problem}`);
+      }
+    });
+    candidates = candidates.filter(candidate => candidate.problems.length === 0);
+    
+    // Pass the captured values explicitly wherever the component is rendered
+    candidates.forEach(candidate => {
+      candidate.callSites.forEach(openingElement => {
+        const existing = new Set(
+          openingElement.node.attributes
+            .filter(attribute => attribute.type === 'JSXAttribute')
+            .map(attribute => attribute.name.name)
+        );
+        
+        const { attributes } = openingElement.node;
+        const anchor = attributes.length > 0 ? attributes[attributes.length - 1] : openingElement.node.name;
+        const added = [];
+        
+        candidate.captures.forEach((_, captured) => {
+          if (existing.has(captured)) return;
+          attributes.push(
+            t.jsxAttribute(
+              t.jsxIdentifier(captured),
+              t.jsxExpressionContainer(t.identifier(captured))
+            )
+          );
+          added.push(` ${captured}={${captured}}`);
+        });
+        
+        if (added.length > 0) {
+          this.recordInsertion(anchor.end, added.join(''));
+        }
+      });
+    });
+    
+    candidates.forEach(candidate => {
+      const liftedProps = [...candidate.captures.keys()];
+      this.liftCapturesToProps(candidate.functionPath, liftedProps);
+      
+      const dependencies = this.collectDependencies(candidate.path, candidate.name);
+      candidate.nestedDependencies.forEach(dependency => dependencies.references.push(dependency.name));
+      
+      this.extractedComponents.push({
+        name: candidate.name,
+        kind: 'component',
+        code: this.sourceOf(candidate.path.node),
+        comments: this.leadingCommentsOf(candidate.path.node),
+        type: candidate.type,
+        path: candidate.path,
+        nested: true,
+        liftedProps,
+        ...dependencies
+      });
+      
+      const lifted = liftedProps.length > 0 ? ` (lifted props: ${liftedProps.join(', ')})` : '';
+      this.log(`  ✓ Found nested component: ${candidate.name}${lifted}`);
+    });
+  }
+
+  findComponentHosts(ast) {
+    const extractedPaths = this.extractedComponents.map(component => component.path);
+    const hosts = [];
+    
+    traverse(ast, {
+      Program(programPath) {
+        programPath.get('body').forEach(statement => {
+          if (extractedPaths.includes(statement)) return;
+          
+          if (statement.isExportDefaultDeclaration() || statement.isExportNamedDeclaration()) {
+            statement = statement.get('declaration');
+            if (!statement.node) return;
+          }
+          
+          if (statement.isFunctionDeclaration()) {
+            hosts.push(statement);
+          } else if (statement.isVariableDeclaration()) {
+            statement.get('declarations').forEach(declarator => {
+              if (extractedPaths.includes(declarator)) return;
+              
+              const init = declarator.get('init');
+              if ((init.isArrowFunctionExpression() || init.isFunctionExpression()) &&
+                  init.get('body').isBlockStatement()) {
+                hosts.push(init);
+              }
+            });
+          }
+        });
+        programPath.stop();
+      }
+    });
+    
+    return hosts;
+  }
+
+  analyzeNestedCaptures(candidate, candidateBindings) {
+    const programScope = candidate.path.scope.getProgramParent();
+    const captures = new Map();
+    const nestedDependencies = new Set();
+    const problems = [];
+    
+    candidate.path.traverse({
+      ReferencedIdentifier(refPath) {
+        const name = refPath.node.name;
+        const binding = refPath.scope.getBinding(name);
+        
+        if (!binding || binding.scope === programScope) return;
+        if (binding === candidate.binding) return; // Recursion
+        if (binding.path.isDescendant(candidate.path) || binding.path === candidate.path) return;
+        
+        const dependency = candidateBindings.get(binding);
+        if (dependency) {
+          nestedDependencies.add(dependency);
+          return;
+        }
+        
+        captures.set(name, binding);
+      }
+    });
+    
+    captures.forEach((binding, name) => {
+      if ((binding.kind === 'let' || binding.kind === 'var') && binding.constantViolations.length > 0) {
+        problems.push(`captures reassigned ${binding.kind} variable "${name}"`);
+      } else if (binding.constantViolations.length > 0 && binding.kind !== 'hoisted') {
+        problems.push(`captures reassigned binding "${name}"`);
+      }
+    });
+    
+    const callSites = [];
+    candidate.binding.referencePaths.forEach(refPath => {
+      if (refPath.parentPath.isJSXOpeningElement()) {
+        callSites.push(refPath.parentPath);
+      } else if (!refPath.parentPath.isJSXClosingElement() && !refPath.isDescendant(candidate.path)) {
+        problems.push(`"${candidate.name}" is used outside of JSX at line ${refPath.node.loc?.start.line}`);
+      }
+    });
+    
+    // Every call site must see the same bindings the component closed over
+    callSites.forEach(openingElement => {
+      captures.forEach((binding, name) => {
+        if (openingElement.scope.getBinding(name) !== binding) {
+          problems.push(`"${name}" is shadowed where <${candidate.name}> is rendered`);
+        }
+      });
+    });
+    
+    candidate.captures = captures;
+    candidate.nestedDependencies = nestedDependencies;
+    candidate.callSites = callSites;
+    candidate.problems = problems;
+  }
+
+  checkLiftedParams(candidate) {
+    const params = candidate.functionPath.node.params;
+    if (candidate.captures.size === 0 || params.length === 0) return null;
+    
+    let pattern = params[0];
+    if (pattern.type === 'AssignmentPattern') {
+      pattern = pattern.left;
+    }
+    
+    if (pattern.type === 'Identifier') return null;
+    if (pattern.type !== 'ObjectPattern') {
+      return 'its props parameter is not an object pattern';
+    }
+    
+    const taken = pattern.properties
+      .filter(property => property.type === 'ObjectProperty')
+      .map(property => property.key.name);
+    const clash = [...candidate.captures.keys()].find(name => taken.includes(name));
+    
+    return clash ? `captured "${clash}" clashes with an existing prop` : null;
+  }
+
+  liftCapturesToProps(functionPath, names) {
+    if (names.length === 0) return;
+    
+    const properties = names.map(name =>
+      t.objectProperty(t.identifier(name), t.identifier(name), false, true)
+    );
+    const { node } = functionPath;
+    const params = node.params;
+    
+    if (params.length === 0) {
+      params.push(t.objectPattern(properties));
+      // Between the parentheses of `()` or `function Row()`
+      const open = node.start == null ? -1 : this.sourceCode.indexOf('(', node.id?.end ?? node.start);
+      this.recordInsertion(open === -1 ? null : open + 1, generate(params[0]).code);
+      return;
+    }
+    
+    const isDefaulted = params[0].type === 'AssignmentPattern';
+    const pattern = isDefaulted ? params[0].left : params[0];
+    
+    if (pattern.type === 'Identifier') {
+      // `props` keeps receiving everything that isn't a lifted capture
+      const rest = t.restElement(t.identifier(pattern.name));
+      const lifted = t.objectPattern([...properties, rest]);
+      lifted.typeAnnotation = pattern.typeAnnotation;
+      rest.argument.typeAnnotation = null;
+      
+      if (isDefaulted) {
+        params[0].left = lifted;
+      } else {
+        params[0] = lifted;
+      }
+      
+      // `props => ...` needs parentheses around a pattern
+      const parenthesized = node.type !== 'ArrowFunctionExpression' || pattern.start == null ||
+        this.sourceCode.slice(node.start, pattern.start).includes('(');
+      // The generator leaves out a pattern's type annotation
+      const annotation = lifted.typeAnnotation ? this.sourceOf(lifted.typeAnnotation) : '';
+      const text = `${generate({ ...lifted, typeAnnotation: null }).code}${annotation}`;
+      this.recordReplacement(pattern, parenthesized ? text : `(${text})`);
+      return;
+    }
+    
+    const restIndex = pattern.properties.findIndex(property => property.type === 'RestElement');
+    const last = pattern.properties[pattern.properties.length - 1];
+    const text = names.join(', ');
+    if (restIndex !== -1) {
+      this.recordInsertion(pattern.properties[restIndex].start, `${text}, `);
+    } else if (last) {
+      this.recordInsertion(last.end, `, ${text}`);
+    } else {
+      this.recordInsertion(pattern.start == null ? null : pattern.start + 1, ` ${text} `);
+    }
+    pattern.properties.splice(restIndex === -1 ? pattern.properties.length : restIndex, 0, ...properties);
+  }
+
+  resolveModuleDeclarations(ast, componentPaths) {
+    if (componentPaths.length === 0) return [];
+    
+    const declarations = [];
+    const byName = new Map();
+    const appReferences = new Set();
+    
+    traverse(ast, {
+      Program: programPath => {
+        programPath.get('body').forEach(statement => {
+          if (componentPaths.includes(statement) || statement.isImportDeclaration()) return;
+          
+          // Exported declarations have to stay reachable through App
+          const exported = statement.isExportNamedDeclaration() && Boolean(statement.node.declaration);
+          const inner = exported ? statement.get('declaration') : statement;
+          
+          if (inner.isVariableDeclaration() ||
+              inner.isFunctionDeclaration() ||
+              inner.isClassDeclaration() ||
+              inner.isTSEnumDeclaration() ||
+              this.isTypeDeclaration(inner.node)) {
+            // What's left of a statement that also declared a component moves declarator by declarator
+            const split = inner.isVariableDeclaration() &&
+              inner.get('declarations').some(declarator => componentPaths.includes(declarator));
+            const units = split
+              ? inner.get('declarations').filter(declarator => !componentPaths.includes(declarator))
+              : [statement];
+            
+            units.forEach(unit => {
+              const names = inner.node.id
+                ? [inner.node.id.name]
+                : Object.keys(unit.getOuterBindingIdentifiers());
+              const declaration = {
+                names,
+                exported,
+                isType: this.isTypeDeclaration(inner.node),
+                path: unit,
+                node: split ? t.variableDeclaration(inner.node.kind, [unit.node]) : inner.node,
+                comments: split ? '' : this.leadingCommentsOf(statement.node),
+                ...this.collectDependencies(unit, null)
+              };
+              declarations.push(declaration);
+              names.forEach(name => byName.set(name, declaration));
+            });
+          } else {
+            // Everything else (App itself, exports, side effects) stays put
+            this.collectDependencies(statement, null, componentPaths).references
+              .forEach(name => appReferences.add(name));
+          }
+        });
+        programPath.stop();
+      }
+    });
+    
+    // Every declaration reachable from a consumer is needed by that consumer
+    const users = new Map(declarations.map(declaration => [declaration, new Set()]));
+    const markUsed = (references, user, seen = new Set()) => {
+      references.forEach(name => {
+        const declaration = byName.get(name);
+        if (!declaration || seen.has(declaration)) return;
+        seen.add(declaration);
+        users.get(declaration).add(user);
+        markUsed(declaration.references, user, seen);
+      });
+    };
+    
+    this.extractedComponents.forEach(component => markUsed(component.references, component.name));
+    markUsed(appReferences, 'App');
+    
+    const removed = [];
+    
+    declarations.forEach(declaration => {
+      const declarationUsers = [...users.get(declaration)];
+      const componentUsers = declarationUsers.filter(user => user !== 'App');
+      if (componentUsers.length === 0) return;
+      
+      const label = declaration.names.join(', ');
+      
+      // An exported declaration can't disappear into a component, App re-exports it instead
+      if (declarationUsers.length === 1 && !declaration.exported) {
+        this.movedDeclarations.push({ ...declaration, target: componentUsers[0] });
+        removed.push(declaration.path);
+        this.log(`  ✓ Moving ${label} into ${componentUsers[0]}`);
+        return;
+      }
+      
+      // ES module imports are read-only, so reassigned bindings can't be shared
+      const reassigned = declaration.names.some(name =>
+        declaration.path.scope.getBinding(name)?.constantViolations.length > 0
+      );
+      if (reassigned) {
+        this.warnings.push(`${label} is reassigned and used by ${declarationUsers.join(', ')}; left in place`);
+        return;
+      }
+      
+      this.movedDeclarations.push({
+        ...declaration,
+        target: 'shared',
+        usedByApp: declarationUsers.includes('App')
+      });
+      removed.push(declaration.path);
+      this.log(`  ✓ Hoisting ${label} into ${this.sharedModulePath}`);
+    });
+    
+    return removed;
+  }
+
+  isTypeDeclaration(node) {
+    return node.type === 'TSInterfaceDeclaration' || node.type === 'TSTypeAliasDeclaration';
+  }
+
+  buildSharedImports(names, fromFile, keyword = 'import') {
+    const shared = this.movedDeclarations.filter(declaration => declaration.target === 'shared');
+    const specifier = this.importSpecifier(fromFile, this.sharedModulePath);
+    const statements = [];
+    
+    const valueNames = shared
+      .filter(declaration => !declaration.isType)
+      .flatMap(declaration => declaration.names)
+      .filter(name => names.has(name));
+    const typeNames = shared
+      .filter(declaration => declaration.isType)
+      .flatMap(declaration => declaration.names)
+      .filter(name => names.has(name));
+    
+    if (valueNames.length > 0) {
+      statements.push(`${keyword} { ${valueNames.join(', ')} } from '${specifier}';`);
+    }
+    if (typeNames.length > 0) {
+      statements.push(`${keyword} type { ${typeNames.join(', ')} } from '${specifier}';`);
+    }
+    
+    return statements;
+  }
+
+  buildComponentImports(component) {
+    const moved = this.movedDeclarations.filter(declaration => declaration.target === component.name);
+    const movedNames = new Set(moved.flatMap(declaration => declaration.names));
+    const references = new Set(component.references);
+    let usesJSX = component.usesJSX;
+    
+    moved.forEach(declaration => {
+      declaration.references.forEach(name => references.add(name));
+      usesJSX = usesJSX || declaration.usesJSX;
+    });
+    movedNames.forEach(name => references.delete(name));
+    
+    const statements = this.buildImportStatements(references, usesJSX, this.componentFile(component));
+    
+    this.extractedComponents
+      .filter(other => component.dependencies.includes(other.name))
+      .forEach(other => statements.push(this.componentImport(other, this.componentFile(component), references)));
+    
+    statements.push(...this.buildSharedImports(references, this.componentFile(component)));
+    
+    return statements;
+  }
+
+  componentFile(component) {
+    if (this.targetFiles.has(component.name)) {
+      return this.targetFiles.get(component.name);
+    }
+    
+    if (component.kind !== 'component') {
+      // Hooks, contexts and utils only need a JSX extension when they render
+      const typescript = this.extension ? this.extension.startsWith('.ts') : this.isTypeScript;
+      const extension = `${typescript ? '.ts' : '.js'}${component.usesJSX ? 'x' : ''}`;
+      return path.join(this.moduleDir(component.kind), `${fileNameFor(component.name, this.fileNameCase)}${extension}`);
+    }
+    
+    let extension = this.extension || '.jsx';
+    if (!this.extension && this.isTypeScript) {
+      extension = component.usesJSX ? '.tsx' : '.ts';
+    }
+    
+    return this.componentPath(component.name, extension);
+  }
+
+  componentPath(name, extension) {
+    // components/Card.jsx, or components/Card/index.jsx with the folder layout
+    const fileName = fileNameFor(name, this.fileNameCase);
+    return this.layout === 'folder'
+      ? path.join(this.componentsDir, fileName, `index${extension}`)
+      : path.join(this.componentsDir, `${fileName}${extension}`);
+  }
+
+  componentImport(component, fromFile, references = null) {
+    const specifier = this.importSpecifier(fromFile, this.componentFile(component));
+    if (!this.usesNamedExports(component)) {
+      return `import ${component.name} from '${specifier}';`;
+    }
+    
+    const names = this.exportsOf(component).filter(name => !references || references.has(name));
+    return `import { ${names.join(', ')} } from '${specifier}';`;
+  }
+
+  componentReexport(component, fromFile) {
+    const specifier = this.importSpecifier(fromFile, this.componentFile(component));
+    const exported = this.usesNamedExports(component)
+      ? this.exportsOf(component).join(', ')
+      : `default as ${component.name}`;
+    return `export { ${exported} } from '${specifier}';`;
+  }
+
+  importSpecifier(fromFile, toFile, { keepExtension = false } = {}) {
+    // A tsconfig/jsconfig alias like @/components/Card if one covers the file
+    let specifier = aliasFor(this.pathAliases, toFile);
+    
+    if (!specifier) {
+      specifier = path.relative(path.dirname(fromFile), toFile).split(path.sep).join('/');
+      if (!specifier.startsWith('.')) {
+        specifier = `./${specifier}`;
+      }
+    }
+    
+    if (keepExtension) return specifier;
+    
+    // './Card/index' resolves the same as './Card'
+    return specifier.replace(/\.(jsx?|tsx?)$/, '').replace(/^(.*[^./])\/index$/, '$1');
+  }
+
+  relativeSpecifier(fromFile, toFile) {
+    // Files kept next to a component import it relatively, path aliases or not
+    const specifier = path.relative(path.dirname(fromFile), toFile).split(path.sep).join('/').replace(/\.(jsx?|tsx?)$/, '');
+    return specifier.startsWith('.') ? specifier : `./${specifier}`;
+  }
+
+  rebaseSource(source, toFile) {
+    // Relative imports were written from App's folder, not the new file's
+    if (!source.startsWith('.')) return source;
+    
+    const target = path.resolve(path.dirname(this.appFilePath), source);
+    return this.importSpecifier(toFile, target, { keepExtension: true });
+  }
+
+  collectDependencies(path, name, excludedPaths = []) {
+    const self = this;
+    const programScope = path.scope.getProgramParent();
+    const references = new Set();
+    let usesJSX = false;
+    
+    path.traverse({
+      enter(innerPath) {
+        // Nested components that are being extracted don't count as usage
+        if (excludedPaths.includes(innerPath)) {
+          innerPath.skip();
+        }
+      },
+      ReferencedIdentifier(refPath) {
+        const refName = refPath.node.name;
+        const binding = refPath.scope.getBinding(refName);
+        
+        // Only module-level bindings matter; locals and globals travel as-is
+        if (binding && binding.scope === programScope && refName !== name) {
+          references.add(refName);
+        }
+        
+        // Types and enums are unbound as far as Babel is concerned
+        if (!binding && refPath.key !== 'id' && self.moduleTypeNames.has(refName)) {
+          references.add(refName);
+        }
+      },
+      'JSXElement|JSXFragment'() {
+        usesJSX = true;
+      }
+    });
+    
+    return {
+      references: [...references],
+      usesJSX
+    };
+  }
+
+  usesClassicJSXRuntime() {
+    // With a default/namespace React import in scope the file is written for
+    // the classic runtime, so any JSX implicitly needs React
+    const react = this.importBindings.get('React');
+    return Boolean(react && react.source === 'react' && react.kind !== 'named');
+  }
+
+  buildImportStatements(references, usesJSX, toFile) {
+    const needed = new Set(references);
+    if (usesJSX && this.usesClassicJSXRuntime()) {
+      needed.add('React');
+    }
+    
+    // Group by source, keeping the order the original file imported them in
+    const bySource = new Map();
+    [...this.importBindings.values()]
+      .filter(binding => needed.has(binding.local))
+      .sort((a, b) => a.order - b.order)
+      .forEach(binding => {
+        // Type-only imports keep their own `import type` statement
+        const key = `${binding.typeOnly ? 'type ' : ''}${binding.source}`;
+        if (!bySource.has(key)) {
+          bySource.set(key, []);
+        }
+        bySource.get(key).push(binding);
+      });
+    
+    const statements = [];
+    
+    bySource.forEach(bindings => {
+      const source = this.rebaseSource(bindings[0].source, toFile);
+      const keyword = bindings[0].typeOnly ? 'import type' : 'import';
+      const defaultBinding = bindings.find(b => b.kind === 'default');
+      const namespaceBinding = bindings.find(b => b.kind === 'namespace');
+      const named = bindings
+        .filter(b => b.kind === 'named')
+        .map(b => (b.imported === b.local ? b.local : `${b.imported} as ${b.local}`));
+      
+      const head = defaultBinding ? [defaultBinding.local] : [];
+      
+      // A namespace import cannot share a statement with named imports
+      if (namespaceBinding) {
+        statements.push(`${keyword} ${[...head, `* as ${namespaceBinding.local}`].join(', ')} from '${source}';`);
+        head.length = 0;
+      }
+      
+      if (head.length > 0 || named.length > 0) {
+        const clause = named.length > 0 ? [...head, `{ ${named.join(', ')} }`] : head;
+        statements.push(`${keyword} ${clause.join(', ')} from '${source}';`);
+      }
+    });
+    
+    return statements;
+  }
+
+  pruneUnusedImports(ast, removedPaths) {
+    if (removedPaths.length === 0) return;
+    
+    const isRemoved = path => removedPaths.some(removed => path.isDescendant(removed));
+    const referencesByBinding = new Map();
+    let appUsesJSX = false;
+    
+    traverse(ast, {
+      'JSXElement|JSXFragment'(path) {
+        if (!isRemoved(path)) {
+          appUsesJSX = true;
+        }
+      },
+      // binding.referencePaths misses references in type positions
+      ReferencedIdentifier(refPath) {
+        const binding = refPath.scope.getBinding(refPath.node.name);
+        if (binding?.kind === 'module' || binding?.path.parentPath?.isImportDeclaration()) {
+          if (!referencesByBinding.has(binding)) {
+            referencesByBinding.set(binding, []);
+          }
+          referencesByBinding.get(binding).push(refPath);
+        }
+      }
+    });
+    
+    const classicRuntime = this.usesClassicJSXRuntime();
+    const self = this;
+    
+    traverse(ast, {
+      ImportDeclaration(path) {
+        const specifiers = path.get('specifiers');
+        if (specifiers.length === 0) return; // Side-effect imports always stay
+        
+        let changed = false;
+        
+        specifiers.forEach(specifier => {
+          const local = specifier.node.local.name;
+          const binding = path.scope.getBinding(local);
+          const references = referencesByBinding.get(binding) || [];
+          const implicitReact = local === 'React' && classicRuntime;
+          
+          // Already unused before extraction - not ours to clean up
+          if (references.length === 0 && !implicitReact) return;
+          if (references.some(ref => !isRemoved(ref))) return;
+          if (implicitReact && appUsesJSX) return;
+          
+          specifier.remove();
+          changed = true;
+        });
+        
+        if (path.node.specifiers.length === 0) {
+          self.recordRemoval(path.node);
+          path.remove();
+        } else if (changed) {
+          self.recordReplacement(path.node, generate(path.node, { comments: false }).code);
+        }
+      }
+    });
+  }
+
+  considerComponent(name, functionPath, wrapper = null) {
+    // Lowercase functions can't be rendered as JSX, so they're never candidates
+    if (!/^[A-Z]/.test(name)) return false;
+    
+    const detection = this.detectComponent(name, functionPath, wrapper);
+    let extracted = detection.confidence >= this.minConfidence;
+    
+    if (extracted && !this.isExtractableComponent(name)) {
+      extracted = false;
+      detection.reasons.push(this.exclusionReasonOf(name));
+    }
+    
+    this.detections.push({ name, extracted, ...detection });
+    if (!extracted) {
+      this.log(`  · Skipping ${name} (confidence ${detection.confidence}: ${detection.reasons.join(', ')})`);
+    }
+    return extracted;
+  }
+
+  detectComponent(name, functionPath, wrapper) {
+    const reasons = [];
+    let score = 0;
+    const { returns, hooks } = functionPath ? this.analyzeFunction(functionPath) : { returns: [], hooks: [] };
+    
+    if (returns.some(node => this.containsJSX(node))) {
+      score += 0.6;
+      reasons.push('returns JSX');
+    } else if (returns.length > 0 && returns.every(node => !node || node.type === 'NullLiteral')) {
+      score += 0.1;
+      reasons.push('returns null');
+    }
+    
+    if (hooks.length > 0) {
+      score += 0.3;
+      reasons.push(`calls hooks (${hooks.join(', ')})`);
+    }
+    
+    // A factory, a component base class or styled() says so outright
+    if (wrapper) {
+      score += 0.6;
+      reasons.push(wrapper);
+    }
+    
+    // Only components can be rendered, whatever they return
+    if (this.renderedNames.has(name)) {
+      score += 0.5;
+      reasons.push(`rendered as <${name} />`);
+    }
+    
+    // Objects and functions can't be rendered; that's a factory or a config
+    const unrenderable = ['ObjectExpression', 'ArrowFunctionExpression', 'FunctionExpression', 'ClassExpression'];
+    if (returns.some(node => node && unrenderable.includes(node.type))) {
+      score -= 0.4;
+      reasons.push('returns values that cannot be rendered');
+    }
+    
+    if (/^[A-Z0-9_]+$/.test(name) && name.length > 1) {
+      score -= 0.3;
+      reasons.push('constant-style name');
+    }
+    
+    if (reasons.length === 0) {
+      reasons.push('no JSX, hooks or component factory');
+    }
+    
+    return {
+      confidence: Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100,
+      reasons
+    };
+  }
+
+  analyzeFunction(functionPath) {
+    const returns = [];
+    const hooks = new Set();
+    
+    if (functionPath.node.body.type !== 'BlockStatement') {
+      returns.push(functionPath.node.body);
+    }
+    
+    functionPath.traverse({
+      // Returns and hooks of nested callbacks belong to them
+      Function(innerPath) {
+        innerPath.skip();
+      },
+      ReturnStatement(returnPath) {
+        returns.push(returnPath.node.argument);
+      },
+      CallExpression(callPath) {
+        const callee = callPath.node.callee;
+        const calleeName = callee.type === 'MemberExpression' ? callee.property.name : callee.name;
+        if (/^use[A-Z0-9]/.test(calleeName || '')) {
+          hooks.add(calleeName);
+        }
+      }
+    });
+    
+    return { returns, hooks: [...hooks] };
+  }
+
+  containsJSX(node) {
+    if (!node) return false;
+    
+    let found = false;
+    t.traverseFast(node, inner => {
+      if (inner.type === 'JSXElement' || inner.type === 'JSXFragment') {
+        found = true;
+      }
+    });
+    return found;
+  }
+
+  componentCandidateOf(initPath) {
+    // The function that renders, and what vouches for it besides its body
+    if (!initPath.node) return null;
+    
+    if (initPath.isArrowFunctionExpression() || initPath.isFunctionExpression()) {
+      return { functionPath: initPath, wrapper: null, label: 'arrow function' };
+    }
+    if (initPath.isClassExpression()) {
+      return { ...this.classCandidate(initPath), label: 'class' };
+    }
+    
+    const factory = this.componentFactoryOf(initPath.node);
+    if (factory) {
+      return { functionPath: this.wrappedFunction(initPath), wrapper: `wrapped in ${factory}`, label: factory };
+    }
+    if (this.isStyledComponent(initPath.node)) {
+      return { functionPath: null, wrapper: 'styled component', label: 'styled' };
+    }
+    return null;
+  }
+
+  classCandidate(classPath) {
+    const superClass = classPath.node.superClass;
+    const baseName = this.reactCalleeName(superClass);
+    
+    // render() as a method or as an arrow property
+    const render = classPath.get('body.body').find(member =>
+      (member.isClassMethod() || member.isClassProperty()) &&
+      !member.node.static && !member.node.computed && member.node.key.name === 'render'
+    );
+    let functionPath = null;
+    if (render?.isClassMethod()) {
+      functionPath = render;
+    } else if (render && (render.get('value').isArrowFunctionExpression() || render.get('value').isFunctionExpression())) {
+      functionPath = render.get('value');
+    }
+    
+    return {
+      functionPath,
+      wrapper: COMPONENT_BASE_CLASSES.includes(baseName) ? `extends ${this.sourceOf(superClass)}` : null
+    };
+  }
+
+  isStyledComponent(node) {
+    // styled.div`...`, styled(Link)`...`, styled.a.attrs({...})`...`, and styled.div({...}) object styles
+    if (node.type === 'TaggedTemplateExpression') {
+      let root = node.tag;
+      while (root.type === 'MemberExpression' || root.type === 'CallExpression') {
+        root = root.type === 'MemberExpression' ? root.object : root.callee;
+      }
+      return root.type === 'Identifier' && root.name === 'styled';
+    }
+    
+    if (node.type === 'CallExpression') {
+      const { callee } = node;
+      return (callee.type === 'MemberExpression' && callee.object.name === 'styled') ||
+             (callee.type === 'CallExpression' && callee.callee.name === 'styled');
+    }
+    return false;
+  }
+
+  componentFactoryOf(node) {
+    if (node.type !== 'CallExpression') return null;
+    
+    const calleeName = this.reactCalleeName(node.callee);
+    return COMPONENT_FACTORIES.includes(calleeName) ? calleeName : null;
+  }
+
+  reactCalleeName(node) {
+    // memo and React.memo are the same thing
+    return node?.type === 'MemberExpression' && node.object.name === 'React'
+      ? node.property.name
+      : node?.name;
+  }
+
+  collectRenderedNames(ast) {
+    // Being rendered somewhere in the file is evidence of being a component
+    this.renderedNames = new Set();
+    traverse(ast, {
+      JSXOpeningElement: path => {
+        if (path.node.name.type === 'JSXIdentifier') {
+          this.renderedNames.add(path.node.name.name);
+        }
+      }
+    });
+  }
+
+  collectElementUsages(ast) {
+    this.elementUsages = new Map();
+    traverse(ast, {
+      JSXOpeningElement: path => {
+        if (path.node.name.type !== 'JSXIdentifier') return;
+        
+        const name = path.node.name.name;
+        if (!this.elementUsages.has(name)) {
+          this.elementUsages.set(name, []);
+        }
+        this.elementUsages.get(name).push(path);
+      }
+    });
+  }
+
+  buildGraph(ast) {
+    // Which component renders which, and what each one uses
+    const nodes = new Map();
+    const owners = new Map();
+    
+    const addNode = (id, kind, extracted, file, ownerNode) => {
+      const node = { id, kind, extracted, file, hooks: [], imports: [] };
+      nodes.set(id, node);
+      owners.set(ownerNode, node);
+    };
+    
+    this.extractedComponents.forEach(component => {
+      const file = this.componentFile(component);
+      addNode(component.name, component.kind, true, file, component.path.node);
+      component.members.forEach(member => addNode(member.name, 'component', true, file, member.path.node));
+    });
+    
+    // Components that stay behind, like App itself
+    ast.program.body.forEach(statement => {
+      const declaration = statement.declaration || statement;
+      const name = declaration.id?.name || (declaration.declarations?.length === 1 && declaration.declarations[0].id.name);
+      if (name && /^[A-Z]/.test(name) && !nodes.has(name) && this.containsJSX(declaration)) {
+        addNode(name, 'component', false, this.appFilePath, statement);
+      }
+    });
+    
+    const edges = new Map();
+    const addEdge = (from, to, type, props = []) => {
+      const key = `${from.id}\u0000${to}\u0000${type}`;
+      if (!edges.has(key)) {
+        edges.set(key, { from: from.id, to, type, props: [] });
+      }
+      const edge = edges.get(key);
+      edge.props = [...new Set([...edge.props, ...props])];
+    };
+    const ownerOf = path => owners.get(path.findParent(parent => owners.has(parent.node))?.node);
+    const addImport = (owner, name) => {
+      const binding = this.importBindings.get(name);
+      if (binding && !owner.imports.includes(binding.source)) {
+        owner.imports.push(binding.source);
+      }
+    };
+    
+    traverse(ast, {
+      JSXOpeningElement: elementPath => {
+        const owner = ownerOf(elementPath);
+        if (!owner) return;
+        
+        // <ThemeContext.Provider> uses ThemeContext
+        let root = elementPath.node.name;
+        while (root.type === 'JSXMemberExpression') {
+          root = root.object;
+        }
+        const name = root.name;
+        
+        if (root !== elementPath.node.name) {
+          if (nodes.has(name)) addEdge(owner, name, 'uses');
+        } else if (nodes.has(name) && name !== owner.id) {
+          const props = elementPath.node.attributes
+            .map(attribute => (attribute.type === 'JSXSpreadAttribute'
+              ? `...${this.sourceOf(attribute.argument)}`
+              : attribute.name.name))
+            .filter(prop => prop !== 'key' && prop !== 'ref');
+          const children = (elementPath.parent.children || []).some(child => child.type !== 'JSXText' || child.value.trim());
+          addEdge(owner, name, 'renders', children ? [...props, 'children'] : props);
+        }
+        addImport(owner, name);
+      },
+      
+      CallExpression: callPath => {
+        const owner = ownerOf(callPath);
+        const hook = this.reactCalleeName(callPath.node.callee);
+        if (owner && HOOK_NAME.test(hook || '') && !owner.hooks.includes(hook)) {
+          owner.hooks.push(hook);
+        }
+      },
+      
+      Identifier: identifierPath => {
+        if (!identifierPath.isReferencedIdentifier()) return;
+        
+        const owner = ownerOf(identifierPath);
+        const { name } = identifierPath.node;
+        const binding = owner && identifierPath.scope.getBinding(name);
+        if (!binding) return;
+        
+        if (binding.kind === 'module') {
+          addImport(owner, name);
+        } else if (binding.scope.path.isProgram() && nodes.has(name) && name !== owner.id) {
+          addEdge(owner, name, 'uses');
+        }
+      }
+    });
+    
+    return { nodes: [...nodes.values()], edges: [...edges.values()] };
+  }
+
+  analyzableComponents(programPath) {
+    // Every top-level component, whether or not the config would extract it
+    const found = [];
+    let defaultName = null;
+    
+    programPath.get('body').forEach(statement => {
+      let declaration = statement;
+      if (statement.isExportNamedDeclaration() || statement.isExportDefaultDeclaration()) {
+        declaration = statement.get('declaration');
+        if (declaration.isIdentifier()) {
+          defaultName = declaration.node.name;
+          return;
+        }
+      }
+      const exportedDefault = statement.isExportDefaultDeclaration();
+      
+      if (declaration.isFunctionDeclaration() && declaration.node.id) {
+        found.push({ name: declaration.node.id.name, path: statement, functionPath: declaration, exportedDefault });
+      } else if (declaration.isClassDeclaration() && declaration.node.id) {
+        found.push({ name: declaration.node.id.name, path: statement, classPath: declaration, exportedDefault, ...this.classCandidate(declaration) });
+      } else if (declaration.isVariableDeclaration()) {
+        const declarators = declaration.get('declarations');
+        declarators.forEach(declarator => {
+          if (declarator.node.id.type !== 'Identifier') return;
+          
+          const candidate = this.componentCandidateOf(declarator.get('init'));
+          if (!candidate) return;
+          
+          const init = declarator.get('init');
+          found.push({
+            name: declarator.node.id.name,
+            path: declarators.length === 1 ? statement : declarator,
+            classPath: init.isClassExpression() ? init : null,
+            ...candidate
+          });
+        });
+      }
+    });
+    
+    const components = found.filter(({ name, functionPath, wrapper }) =>
+      /^[A-Z]/.test(name) && functionPath?.node &&
+      this.detectComponent(name, functionPath, wrapper).confidence >= this.minConfidence
+    );
+    
+    // App is whatever the file exports by default, or failing that the one called App
+    const app = components.find(component => component.exportedDefault || component.name === defaultName) ||
+      components.find(component => component.name === 'App');
+    components.forEach(component => {
+      component.app = component === app;
+    });
+    return components;
+  }
+
+  measureComponent(component) {
+    const { path: statement, functionPath, classPath } = component;
+    const { loc } = statement.node;
+    const metrics = {
+      lines: loc.end.line - loc.start.line + 1,
+      jsxDepth: 0,
+      hooks: 0,
+      stateVariables: 0,
+      complexity: 1,
+      props: 0
+    };
+    let depth = 0;
+    
+    (classPath || functionPath).traverse({
+      'JSXElement|JSXFragment': {
+        enter() {
+          depth += 1;
+          metrics.jsxDepth = Math.max(metrics.jsxDepth, depth);
+        },
+        exit() {
+          depth -= 1;
+        }
+      },
+      
+      // Branches, loops and short-circuits, the same ones ESLint's complexity rule counts
+      'IfStatement|ConditionalExpression|LogicalExpression|ForStatement|ForInStatement|ForOfStatement|WhileStatement|DoWhileStatement|CatchClause'() {
+        metrics.complexity += 1;
+      },
+      SwitchCase(casePath) {
+        if (casePath.node.test) metrics.complexity += 1;
+      },
+      
+      CallExpression: callPath => {
+        // Hooks only count at the top of a function component, not in its callbacks
+        if (classPath || callPath.getFunctionParent() !== functionPath) return;
+        
+        const hook = this.reactCalleeName(callPath.node.callee);
+        if (!HOOK_NAME.test(hook || '')) return;
+        
+        metrics.hooks += 1;
+        if (hook === 'useState' || hook === 'useReducer') {
+          metrics.stateVariables += 1;
+        }
+      }
+    });
+    
+    if (classPath) {
+      const { state, props } = this.classMembersOf(classPath);
+      metrics.stateVariables = state;
+      metrics.props = props.size;
+    } else {
+      metrics.props = (this.propShapesOf({ ...component, statics: [] }) || []).length;
+    }
+    
+    return metrics;
+  }
+
+  classMembersOf(classPath) {
+    // Keys of `state = {...}` or `this.state = {...}`, and every this.props.x read
+    let state = 0;
+    const props = new Set();
+    const isThisMember = (node, name) =>
+      node?.type === 'MemberExpression' && node.object.type === 'ThisExpression' && node.property.name === name;
+    
+    classPath.traverse({
+      ClassProperty(propertyPath) {
+        const { key, value } = propertyPath.node;
+        if (key.name === 'state' && !propertyPath.node.static && value?.type === 'ObjectExpression') {
+          state = value.properties.length;
+        }
+      },
+      AssignmentExpression(assignmentPath) {
+        const { left, right } = assignmentPath.node;
+        if (isThisMember(left, 'state') && right.type === 'ObjectExpression') {
+          state = right.properties.length;
+        }
+      },
+      MemberExpression(memberPath) {
+        const { object, property, computed } = memberPath.node;
+        if (isThisMember(object, 'props') && !computed) {
+          props.add(property.name);
+        }
+      },
+      VariableDeclarator(declaratorPath) {
+        const { id, init } = declaratorPath.node;
+        if (id.type === 'ObjectPattern' && isThisMember(init, 'props')) {
+          id.properties
+            .filter(property => property.type === 'ObjectProperty' && !property.computed)
+            .forEach(property => props.add(property.key.name ?? property.key.value));
+        }
+      }
+    });
+    
+    return { state, props };
+  }
+
+  suggestExtractions(component, componentLines, takenNames) {
+    // Nested functions and JSX regions that would make good components or modules of their own
+    const { name, functionPath } = component;
+    const minLines = this.config.analyze.minSuggestionLines;
+    const spanOf = node => node.loc.end.line - node.loc.start.line + 1;
+    const suggestions = [];
+    const declaredFunctions = new Set();
+    
+    const suggest = (type, suggestedName, node, reason) => {
+      const { start, end } = node.loc;
+      suggestions.push({
+        type,
+        component: name,
+        name: suggestedName,
+        start: { line: start.line, column: start.column },
+        end: { line: end.line, column: end.column },
+        lines: spanOf(node),
+        reason
+      });
+    };
+    
+    this.nestedFunctionsOf(functionPath).forEach(({ name: functionName, path: declaration, functionPath: nested }) => {
+      const lines = spanOf(declaration.node);
+      
+      if (this.containsJSX(nested.node)) {
+        declaredFunctions.add(nested.node);
+        
+        if (/^[A-Z]/.test(functionName)) {
+          suggest('nested-component', functionName, declaration.node,
+            `${functionName} is declared inside ${name}, so it is recreated on every render; extractNested lifts it out`);
+        } else if (lines >= minLines) {
+          const componentName = this.uniqueName(this.pascalCase(functionName.replace(/^render/, '')) || `${name}Content`, name, takenNames);
+          suggest('render-function', componentName, declaration.node,
+            `${functionName}() renders ${lines} lines of JSX and could become <${componentName} />`);
+        }
+      } else if (lines >= minLines && !this.capturesFrom(nested, functionPath)) {
+        suggest('function', functionName, declaration.node,
+          `${functionName} uses nothing from ${name} and could move to module level`);
+      }
+    });
+    
+    // The JSX a component returns is the component; regions inside it, or built up
+    // elsewhere in its body, are candidates once they're long enough
+    let root = null;
+    functionPath.traverse({
+      Function(innerPath) {
+        if (declaredFunctions.has(innerPath.node)) innerPath.skip();
+      },
+      'JSXElement|JSXFragment': {
+        enter: elementPath => {
+          if (!root && this.isReturnedBy(elementPath, functionPath)) {
+            root = elementPath;
+            return;
+          }
+          
+          const lines = spanOf(elementPath.node);
+          const limit = root ? spanOf(root.node) : componentLines;
+          const nested = elementPath.node.children.some(child =>
+            child.type === 'JSXElement' || child.type === 'JSXFragment' ||
+            (child.type === 'JSXExpressionContainer' && this.containsJSX(child.expression))
+          );
+          if (lines < minLines || lines > limit * 0.75 || !nested) return;
+          
+          const tag = elementPath.isJSXElement() ? `<${this.sourceOf(elementPath.node.openingElement.name)}>` : 'fragment';
+          const items = this.iteratedBy(elementPath);
+          const suggestedName = this.uniqueName(this.regionNameOf(elementPath, items, name), name, takenNames);
+          const source = items ? ` rendered for each item of ${this.sourceOf(items.callee.object)}` : '';
+          suggest('jsx', suggestedName, elementPath.node,
+            `${lines} lines of ${tag}${source} could become <${suggestedName} />`);
+          elementPath.skip();
+        },
+        exit: elementPath => {
+          if (elementPath === root) root = null;
+        }
+      }
+    });
+    
+    return suggestions.sort((a, b) => a.start.line - b.start.line || a.start.column - b.start.column);
+  }
+
+  nestedFunctionsOf(functionPath) {
+    // function helper() {} and const helper = () => {} directly in a component's body
+    const body = functionPath.get('body');
+    if (!body.isBlockStatement()) return [];
+    
+    return body.get('body').flatMap(statement => {
+      if (statement.isFunctionDeclaration() && statement.node.id) {
+        return [{ name: statement.node.id.name, path: statement, functionPath: statement }];
+      }
+      if (!statement.isVariableDeclaration()) return [];
+      
+      const declarators = statement.get('declarations');
+      return declarators
+        .filter(declarator => declarator.node.id.type === 'Identifier' &&
+          (declarator.get('init').isArrowFunctionExpression() || declarator.get('init').isFunctionExpression()))
+        .map(declarator => ({
+          name: declarator.node.id.name,
+          path: declarators.length === 1 ? statement : declarator,
+          functionPath: declarator.get('init')
+        }));
+    });
+  }
+
+  capturesFrom(innerPath, hostPath) {
+    // Whether a nested function reads anything the host declares, or `this`
+    let captures = false;
+    innerPath.traverse({
+      ThisExpression(thisPath) {
+        captures = true;
+        thisPath.stop();
+      },
+      ReferencedIdentifier(refPath) {
+        const binding = refPath.scope.getBinding(refPath.node.name);
+        if (!binding || binding.path === innerPath || binding.path === innerPath.parentPath) return;
+        
+        if (binding.path.isDescendant(hostPath) && !binding.path.isDescendant(innerPath)) {
+          captures = true;
+          refPath.stop();
+        }
+      }
+    });
+    return captures;
+  }
+
+  isReturnedBy(elementPath, functionPath) {
+    // return <div /> and () => <div />; parentheses aren't nodes
+    const parent = elementPath.parentPath;
+    if (parent === functionPath) return true;
+    return parent.isReturnStatement() && parent.getFunctionParent() === functionPath;
+  }
+
+  iteratedBy(elementPath) {
+    // The .map() call whose callback returns this element
+    const callback = elementPath.getFunctionParent();
+    const call = callback?.parentPath;
+    if (!call?.isCallExpression() || call.node.callee.type !== 'MemberExpression') return null;
+    if (!['map', 'flatMap'].includes(call.node.callee.property.name)) return null;
+    return this.isReturnedBy(elementPath, callback) ? call.node : null;
+  }
+
+  regionNameOf(elementPath, items, componentName) {
+    if (items) {
+      const param = items.arguments[0]?.params?.[0];
+      const collection = items.callee.object;
+      const itemName = param?.type === 'Identifier'
+        ? param.name
+        : (collection.property || collection).name?.replace(/s$/, '');
+      const base = this.pascalCase(itemName || 'list');
+      return base.endsWith('Item') ? base : `${base}Item`;
+    }
+    
+    const tag = elementPath.isJSXElement() && elementPath.node.openingElement.name;
+    return (tag?.type === 'JSXIdentifier' && REGION_NAMES[tag.name]) || `${componentName}Section`;
+  }
+
+  pascalCase(name) {
+    return name.replace(/(^|[-_\s]+)(\w)/g, (_, separator, letter) => letter.toUpperCase());
+  }
+
+  uniqueName(base, componentName, takenNames) {
+    // Header, then AppHeader, then Header2; AppSection goes straight to AppSection2
+    const candidates = base.startsWith(componentName) ? [base] : [base, `${componentName}${base}`];
+    for (let i = 2; takenNames.has(candidates[candidates.length - 1]); i++) {
+      candidates.push(`${base}${i}`);
+    }
+    const name = candidates.find(candidate => !takenNames.has(candidate));
+    takenNames.add(name);
+    return name;
+  }
+
+  inferExampleProps() {
+    // Example props come from how App renders each component
+    this.extractedComponents
+      .filter(component => component.kind === 'component')
+      .forEach(component => {
+        const shapes = new Map((component.propShapes || []).map(shape => [shape.name, shape]));
+        component.exampleProps = [...this.examplePropsOf(component.name)].map(([name, value]) => ({
+          name,
+          value: value || this.placeholderProp(name, shapes.get(name))
+        }));
+      });
+  }
+
+  examplePropsOf(name, depth = 0) {
+    // Every prop it's given anywhere, with the first value that can be worked out
+    const props = new Map();
+    
+    (this.elementUsages.get(name) || []).forEach(element => {
+      element.get('attributes').forEach(attribute => {
+        if (!attribute.isJSXAttribute() || attribute.node.name.type !== 'JSXIdentifier') return;
+        
+        const prop = attribute.node.name.name;
+        if (prop === 'key' || prop === 'ref' || props.get(prop)) return;
+        props.set(prop, this.exampleAttributeValue(attribute.get('value'), depth));
+      });
+      
+      // Plain text between the tags is its children
+      const children = element.parentPath.node.children || [];
+      const text = children.every(child => child.type === 'JSXText') && children.map(child => child.value).join('').trim();
+      if (text && !props.get('children')) {
+        props.set('children', t.stringLiteral(text.replace(/\s+/g, ' ')));
+      }
+    });
+    
+    return props;
+  }
+
+  exampleAttributeValue(valuePath, depth) {
+    // <Modal open /> is open={true}
+    if (!valuePath.node) return t.booleanLiteral(true);
+    if (valuePath.isStringLiteral()) return valuePath.node;
+    if (valuePath.isJSXExpressionContainer()) return this.exampleValue(valuePath.get('expression'), depth);
+    return null;
+  }
+
+  exampleValue(valuePath, depth) {
+    if (depth > 4 || !valuePath?.node) return null;
+    
+    if (valuePath.isFunction()) return t.arrowFunctionExpression([], t.blockStatement([]));
+    if (this.isLiteralValue(valuePath.node)) return valuePath.node;
+    if (valuePath.isIdentifier()) return this.exampleBindingValue(valuePath, depth);
+    
+    // user.address where user is known
+    if (valuePath.isMemberExpression() && !valuePath.node.computed) {
+      const object = this.exampleValue(valuePath.get('object'), depth + 1);
+      const property = object?.type === 'ObjectExpression' && object.properties.find(candidate =>
+        !candidate.computed && (candidate.key.name ?? candidate.key.value) === valuePath.node.property.name
+      );
+      return property ? property.value : null;
+    }
+    
+    return null;
+  }
+
+  exampleBindingValue(identifierPath, depth) {
+    const binding = identifierPath.scope.getBinding(identifierPath.node.name);
+    if (!binding) return null;
+    
+    const declaration = binding.path;
+    if (declaration.isFunctionDeclaration()) return t.arrowFunctionExpression([], t.blockStatement([]));
+    
+    if (declaration.isVariableDeclarator()) {
+      const id = declaration.node.id;
+      const init = declaration.get('init');
+      if (id.type === 'Identifier') return this.exampleValue(init, depth + 1);
+      
+      // const [users, setUsers] = useState([...])
+      const hook = this.reactCalleeName(init.node?.callee);
+      if (id.type === 'ArrayPattern' && (hook === 'useState' || hook === 'useReducer')) {
+        if (id.elements[0] === binding.identifier) {
+          return this.exampleValue(init.get(hook === 'useReducer' ? 'arguments.1' : 'arguments.0'), depth + 1);
+        }
+        if (id.elements[1] === binding.identifier) return t.arrowFunctionExpression([], t.blockStatement([]));
+      }
+      return null;
+    }
+    
+    if (binding.kind !== 'param') return null;
+    
+    const functionPath = binding.scope.path;
+    const firstParam = functionPath.node.params[0];
+    
+    // users.map(user => <UserCard user={user} />) renders the first user
+    const call = functionPath.parentPath;
+    if (firstParam === binding.identifier && call.isCallExpression() && functionPath.listKey === 'arguments') {
+      const callee = call.get('callee');
+      if (callee.isMemberExpression() && ITERATION_METHODS.includes(callee.node.property.name)) {
+        const array = this.exampleValue(callee.get('object'), depth + 1);
+        return array?.type === 'ArrayExpression' ? array.elements[0] || null : null;
+      }
+    }
+    
+    // A prop of another component: whatever that component is given
+    const property = firstParam?.type === 'ObjectPattern' && firstParam.properties.find(candidate =>
+      candidate.type === 'ObjectProperty' && !candidate.computed &&
+      (candidate.value === binding.identifier || candidate.value.left === binding.identifier)
+    );
+    if (!property) return null;
+    
+    const owner = functionPath.node.id?.name || functionPath.parentPath.node.id?.name;
+    const given = owner ? this.examplePropsOf(owner, depth + 1).get(property.key.name ?? property.key.value) : null;
+    if (given) return given;
+    
+    // ({ size = 'md' }) falls back to its default
+    const fallback = property.value.type === 'AssignmentPattern' ? property.value.right : null;
+    return fallback && this.isLiteralValue(fallback) ? fallback : null;
+  }
+
+  isLiteralValue(node) {
+    // Values that read the same in a test file as they do in App
+    if (['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral'].includes(node.type)) return true;
+    if (node.type === 'TemplateLiteral') return node.expressions.length === 0;
+    if (node.type === 'UnaryExpression') return node.operator === '-' && node.argument.type === 'NumericLiteral';
+    if (node.type === 'ArrayExpression') return node.elements.every(element => element && this.isLiteralValue(element));
+    if (node.type === 'ObjectExpression') {
+      return node.properties.every(property =>
+        property.type === 'ObjectProperty' && !property.computed && this.isLiteralValue(property.value)
+      );
+    }
+    return false;
+  }
+
+  placeholderProp(name, shape) {
+    // Something of the right kind when App gives no usable example
+    const type = shape && !shape.uncertain ? shape.type : null;
+    if (type === 'function' || /^on[A-Z]/.test(name)) return t.arrowFunctionExpression([], t.blockStatement([]));
+    if (type === 'boolean' || /^(is|has|show|can)[A-Z]/.test(name)) return t.booleanLiteral(true);
+    if (type === 'number') return t.numericLiteral(0);
+    if (type === 'array') return t.arrayExpression([]);
+    if (type === 'object') return t.objectExpression([]);
+    return t.stringLiteral(name);
+  }
+
+  inferPropShapes() {
+    this.extractedComponents
+      .filter(component => component.kind === 'component')
+      .forEach(component => {
+        component.propShapes = this.propShapesOf(component);
+      });
+  }
+
+  componentFunctionOf(component) {
+    // The function that takes the props; class components have none
+    let target = component.path;
+    if (target.isExportNamedDeclaration() || target.isExportDefaultDeclaration()) {
+      target = target.get('declaration');
+    }
+    if (target.isFunctionDeclaration()) return target;
+    if (target.isVariableDeclaration()) {
+      target = target.get('declarations.0');
+    }
+    if (!target.isVariableDeclarator() || target.get('init').isClassExpression()) return null;
+    
+    const candidate = this.componentCandidateOf(target.get('init'));
+    return candidate?.functionPath?.isFunction() ? candidate.functionPath : null;
+  }
+
+  propShapesOf(component) {
+    // What each prop looks like, from the component's own code and from every place it's rendered
+    const functionPath = this.componentFunctionOf(component);
+    if (!functionPath) return null;
+    
+    const props = this.newEvidence();
+    let param = functionPath.get('params')[0];
+    if (param) {
+      if (param.isAssignmentPattern()) {
+        param = param.get('left');
+      }
+      if (param.isObjectPattern()) {
+        this.recordPattern(param, props);
+      } else if (param.isIdentifier()) {
+        this.recordBinding(param, props);
+      }
+      
+      // Already typed, by hand or with React.FC<Props>
+      const declarator = functionPath.parentPath.isVariableDeclarator() ? functionPath.parent : null;
+      const typed = Boolean(param.node.typeAnnotation || declarator?.id.typeAnnotation) ||
+        component.statics.some(statement => statement.node.expression.left.property.name === 'propTypes');
+      const start = functionPath.node.start;
+      component.propsParam = typed ? null : {
+        source: this.sourceOf(param.node),
+        parenthesized: !functionPath.isArrowFunctionExpression() || start == null ||
+          this.sourceCode.slice(start, param.node.start).includes('(')
+      };
+    }
+    
+    const usages = this.elementUsages.get(component.name) || [];
+    const passed = new Map();
+    
+    usages.forEach(element => {
+      element.get('attributes').forEach(attribute => {
+        if (!attribute.isJSXAttribute() || attribute.node.name.type !== 'JSXIdentifier') return;
+        
+        const name = attribute.node.name.name;
+        if (name === 'key' || name === 'ref') return;
+        
+        passed.set(name, (passed.get(name) || 0) + 1);
+        const evidence = this.fieldEvidence(props, name);
+        const value = this.exampleAttributeValue(attribute.get('value'), 0) || attribute.node.value?.expression;
+        if (value) {
+          this.recordValue(value, evidence);
+        }
+      });
+      
+      if ((element.parentPath.node.children || []).some(child => child.type !== 'JSXText' || child.value.trim())) {
+        passed.set('children', (passed.get('children') || 0) + 1);
+        this.fieldEvidence(props, 'children').types.add('node');
+      }
+    });
+    
+    // Required when every call site passes it and there is no default
+    return [...props.fields].map(([name, evidence]) => ({
+      name,
+      required: !evidence.defaulted && (usages.length === 0 || passed.get(name) === usages.length),
+      ...this.describeEvidence(evidence)
+    }));
+  }
+
+  newEvidence() {
+    // types are certain, hints only suggest one
+    return { types: new Set(), hints: new Set(), fields: new Map(), items: null, defaulted: false, literal: false };
+  }
+
+  fieldEvidence(evidence, name) {
+    if (!evidence.fields.has(name)) {
+      evidence.fields.set(name, this.newEvidence());
+    }
+    return evidence.fields.get(name);
+  }
+
+  recordPattern(patternPath, evidence) {
+    // ({ user, size = 'md', address: { city } })
+    evidence.types.add('object');
+    patternPath.get('properties').forEach(property => {
+      if (!property.isObjectProperty() || property.node.computed) return;
+      
+      const field = this.fieldEvidence(evidence, property.node.key.name ?? property.node.key.value);
+      let value = property.get('value');
+      if (value.isAssignmentPattern()) {
+        field.defaulted = true;
+        this.recordValue(value.node.right, field);
+        value = value.get('left');
+      }
+      
+      if (value.isIdentifier()) {
+        this.recordBinding(value, field);
+      } else if (value.isObjectPattern()) {
+        this.recordPattern(value, field);
+      }
+    });
+  }
+
+  recordBinding(identifierPath, evidence) {
+    const binding = identifierPath.scope.getBinding(identifierPath.node.name);
+    (binding?.referencePaths || []).forEach(reference => this.recordUsage(reference, evidence));
+  }
+
+  recordUsage(valuePath, evidence) {
+    const parent = valuePath.parentPath;
+    const { node } = valuePath;
+    
+    // user.name, user?.name
+    if ((parent.isMemberExpression() || parent.isOptionalMemberExpression()) && parent.node.object === node && !parent.node.computed) {
+      const key = parent.node.property.name;
+      const methodType = Object.keys(TYPE_METHODS).find(type => TYPE_METHODS[type].includes(key));
+      
+      if (methodType) {
+        evidence.types.add(methodType);
+        
+        // users.map(user => ...) says what the items look like
+        const callback = parent.parentPath.isCallExpression() || parent.parentPath.isOptionalCallExpression()
+          ? parent.parentPath.get('arguments.0')
+          : null;
+        if (methodType === 'array' && callback?.isFunction()) {
+          evidence.items = evidence.items || this.newEvidence();
+          const item = callback.get('params')[0];
+          if (item?.isIdentifier()) {
+            this.recordBinding(item, evidence.items);
+          } else if (item?.isObjectPattern()) {
+            this.recordPattern(item, evidence.items);
+          }
+        }
+      } else if (key === 'length') {
+        evidence.hints.add('array');
+      } else {
+        evidence.types.add('object');
+        this.recordUsage(parent, this.fieldEvidence(evidence, key));
+      }
+      return;
+    }
+    
+    if ((parent.isCallExpression() || parent.isOptionalCallExpression()) && parent.node.callee === node) {
+      evidence.types.add('function');
+    } else if (parent.isJSXExpressionContainer()) {
+      const attribute = parent.parentPath.isJSXAttribute() ? parent.parent : null;
+      const element = attribute && parent.parentPath.parent;
+      const domElement = element?.name.type === 'JSXIdentifier' && /^[a-z]/.test(element.name.name);
+      const attributeName = attribute?.name.name;
+      
+      if (!attribute) {
+        evidence.types.add('node');
+      } else if (/^on[A-Z]/.test(attributeName)) {
+        evidence.types.add('function');
+      } else if (domElement) {
+        const type = Object.keys(DOM_ATTRIBUTE_TYPES).find(key => DOM_ATTRIBUTE_TYPES[key].includes(attributeName));
+        if (type) evidence.types.add(type);
+      }
+    } else if (parent.isBinaryExpression() && ['-', '*', '/', '%', '**'].includes(parent.node.operator)) {
+      evidence.types.add('number');
+    } else if (parent.isTemplateLiteral()) {
+      evidence.hints.add('string');
+    } else if (
+      parent.isConditionalExpression({ test: node }) ||
+      parent.isLogicalExpression({ left: node }) ||
+      parent.isUnaryExpression({ operator: '!' }) ||
+      parent.isIfStatement({ test: node })
+    ) {
+      evidence.hints.add('boolean');
+    } else if (parent.isVariableDeclarator({ init: node }) && parent.node.id.type === 'ObjectPattern') {
+      // const { name } = user
+      this.recordPattern(parent.get('id'), evidence);
+    }
+  }
+
+  recordValue(node, evidence) {
+    // A value App passes, or a default in the destructuring
+    const literalTypes = {
+      StringLiteral: 'string',
+      TemplateLiteral: 'string',
+      NumericLiteral: 'number',
+      BooleanLiteral: 'boolean',
+      JSXElement: 'node',
+      JSXFragment: 'node'
+    };
+    
+    if (literalTypes[node.type]) {
+      evidence.types.add(literalTypes[node.type]);
+    } else if (node.type === 'UnaryExpression' && node.operator === '-' && node.argument.type === 'NumericLiteral') {
+      evidence.types.add('number');
+    } else if (node.type === 'UnaryExpression' && node.operator === '!') {
+      evidence.types.add('boolean');
+    } else if (node.type === 'BinaryExpression' && ['===', '!==', '==', '!=', '<', '>', '<=', '>='].includes(node.operator)) {
+      evidence.types.add('boolean');
+    } else if (t.isFunction(node)) {
+      evidence.types.add('function');
+    } else if (node.type === 'ArrayExpression') {
+      evidence.types.add('array');
+      evidence.items = evidence.items || this.newEvidence();
+      node.elements
+        .filter(element => element && element.type !== 'SpreadElement')
+        .forEach(element => this.recordValue(element, evidence.items));
+    } else if (node.type === 'ObjectExpression') {
+      evidence.types.add('object');
+      node.properties
+        .filter(property => property.type === 'ObjectProperty' && !property.computed)
+        .forEach(property => this.recordValue(property.value, this.fieldEvidence(evidence, property.key.name ?? property.key.value)));
+    } else {
+      return;
+    }
+    evidence.literal = true;
+  }
+
+  describeEvidence(evidence) {
+    let types = [...evidence.types];
+    
+    // A string or number rendered as a child is still a string or number
+    if (types.includes('node') && (types.includes('string') || types.includes('number'))) {
+      types = types.filter(type => type !== 'node');
+    }
+    // users.map and users.length don't make users an object
+    if (types.includes('array')) {
+      types = types.filter(type => type !== 'object');
+    }
+    
+    let shape;
+    if (types.length === 1) {
+      shape = { type: types[0], uncertain: false };
+    } else if (types.length === 0 && evidence.hints.size === 1) {
+      shape = { type: [...evidence.hints][0], uncertain: true };
+    } else {
+      shape = { type: 'any', uncertain: true };
+    }
+    
+    if (shape.type === 'object' && evidence.fields.size > 0) {
+      // Fields only seen being read may be missing
+      shape.fields = [...evidence.fields].map(([name, field]) => ({
+        name,
+        required: field.literal && !field.defaulted,
+        ...this.describeEvidence(field)
+      }));
+    }
+    if (shape.type === 'array' && evidence.items) {
+      shape.items = this.describeEvidence(evidence.items);
+    }
+    
+    return shape;
+  }
+
+  wrappedFunction(callPath) {
+    // memo(forwardRef((props, ref) => ...)) - the function at the bottom
+    const argument = callPath.get('arguments.0');
+    if (!argument?.node) return null;
+    if (argument.isArrowFunctionExpression() || argument.isFunctionExpression()) return argument;
+    return this.componentFactoryOf(argument.node) ? this.wrappedFunction(argument) : null;
+  }
+
+  isExtractableComponent(name) {
+    return name && 
+           name[0] === name[0].toUpperCase() && 
+           isComponentIncluded(this.config, name) &&
+           !this.skipComponents.includes(name) &&
+           !this.conflictSkips.has(name) &&
+           name.length > 1;
+  }
+
+  exclusionReasonOf(name) {
+    if (this.conflictSkips.has(name)) return 'skipped: target file already exists';
+    if (this.skipComponents.includes(name)) return 'skipped: another file already extracts a component of this name';
+    return 'excluded by name';
+  }
+
+  async generateComponentFiles() {
+    const components = [];
+    
+    for (const component of this.extractedComponents.filter(c => c.kind === 'component')) {
+      components.push({
+        name: component.name,
+        filename: path.relative(this.componentsDir, this.componentFile(component)).split(path.sep).join('/'),
+        code: await this.renderComponentFile(component),
+        dependencies: component.dependencies,
+        client: component.clientFeatures.length > 0,
+        props: component.propShapes || null
+      });
+    }
+    
+    return components;
+  }
+
+  async generateExtractedModules() {
+    // Hooks, contexts and utils are modules in folders of their own
+    const modules = [];
+    
+    for (const component of this.extractedComponents.filter(c => c.kind !== 'component')) {
+      modules.push({
+        kind: component.kind,
+        name: component.name,
+        filePath: this.componentFile(component),
+        exports: this.exportsOf(component),
+        code: await this.renderComponentFile(component),
+        dependencies: component.dependencies,
+        client: component.clientFeatures.length > 0
+      });
+    }
+    
+    return modules;
+  }
+
+  async renderComponentFile(component) {
+    let exportCode = '';
+    
+    // Directives have to come before everything else, imports included
+    if (component.clientFeatures.length > 0) {
+      exportCode += "'use client';\n\n";
+    }
+    
+    // An inferred props contract: an interface before the component, or propTypes after it
+    const contract = this.propsContractOf(component);
+    const imports = [...component.imports];
+    if (contract) {
+      // Packages before the project's own files
+      const local = imports.findIndex(statement => /from '\.{1,2}\//.test(statement));
+      imports.splice(local === -1 ? imports.length : local, 0, ...contract.imports);
+    }
+    
+    // Carry over exactly the imports this component references
+    if (imports.length > 0) {
+      exportCode += imports.join('\n') + '\n\n';
+    }
+    
+    // Followed by the module-level declarations only it uses
+    this.movedDeclarations
+      .filter(declaration => declaration.target === component.name)
+      .forEach(declaration => {
+        exportCode += declaration.comments + this.sourceOf(declaration.node) + '\n\n';
+      });
+    
+    if (contract?.interface) {
+      exportCode += `${contract.interface}\n\n`;
+    }
+    
+    // Comments and JSDoc travel with the component
+    exportCode += component.comments;
+    
+    // Convert to the configured export style
+    const named = this.usesNamedExports(component);
+    const code = contract?.code || component.code;
+    const propTypes = contract?.propTypes ? `\n\n${contract.propTypes}` : '';
+    if (component.type === 'function' || component.type === 'class') {
+      exportCode += `${named ? 'export' : 'export default'} ${code}${propTypes}`;
+    } else if (named) {
+      exportCode += `export ${code}${propTypes}`;
+    } else {
+      exportCode += `${code};${propTypes}\n\nexport default ${component.name};`;
+    }
+    
+    // A context's provider is exported alongside it
+    component.members.forEach(member => {
+      exportCode += `\n\n${member.comments}export ${member.code}`;
+    });
+    
+    // Format with prettier
+    return this.formatCode(exportCode, this.componentFile(component));
+  }
+
+  propsContractOf(component) {
+    if (!this.inferProps || component.kind !== 'component' || !component.propsParam || !component.propShapes?.length) {
+      return null;
+    }
+    
+    if (!/\.tsx?$/.test(this.componentFile(component))) {
+      const propTypes = `${component.name}.propTypes = ${this.propTypesObject(component.propShapes)};`;
+      const imported = component.imports.some(statement => statement.includes("'prop-types'"));
+      return { imports: imported ? [] : ["import PropTypes from 'prop-types';"], propTypes };
+    }
+    
+    // Annotate the parameter where it's declared, right after the component's name
+    const { source, parenthesized } = component.propsParam;
+    const index = component.code.indexOf(source, component.code.indexOf(component.name) + component.name.length);
+    if (index === -1) return null;
+    
+    const interfaceName = `${component.name}Props`;
+    const annotated = `${source}: ${interfaceName}`;
+    const body = this.typeMembers(component.propShapes);
+    
+    return {
+      imports: body.includes('ReactNode') ? ["import type { ReactNode } from 'react';"] : [],
+      interface: `interface ${interfaceName} ${body}`,
+      code: component.code.slice(0, index) + (parenthesized ? annotated : `(${annotated})`) + component.code.slice(index + source.length)
+    };
+  }
+
+  propTypesObject(shapes) {
+    const lines = shapes.map(shape => {
+      const required = shape.required ? '.isRequired' : '';
+      return `${shape.name}: ${this.propTypeOf(shape)}${required},${shape.uncertain ? ' // inferred, unverified' : ''}`;
+    });
+    return `{\n${lines.join('\n')}\n}`;
+  }
+
+  propTypeOf(shape) {
+    if (shape.type === 'object') {
+      return shape.fields ? `PropTypes.shape(${this.propTypesObject(shape.fields)})` : 'PropTypes.object';
+    }
+    if (shape.type === 'array') {
+      return shape.items && shape.items.type !== 'any' ? `PropTypes.arrayOf(${this.propTypeOf(shape.items)})` : 'PropTypes.array';
+    }
+    
+    const propTypes = { string: 'string', number: 'number', boolean: 'bool', function: 'func', node: 'node', any: 'any' };
+    return `PropTypes.${propTypes[shape.type]}`;
+  }
+
+  typeMembers(shapes) {
+    const lines = shapes.map(shape => {
+      const name = t.isValidIdentifier(shape.name) ? shape.name : `'${shape.name}'`;
+      return `${name}${shape.required ? '' : '?'}: ${this.typeOf(shape)};${shape.uncertain ? ' // inferred, unverified' : ''}`;
+    });
+    return `{\n${lines.join('\n')}\n}`;
+  }
+
+  typeOf(shape) {
+    if (shape.type === 'object') {
+      return shape.fields ? this.typeMembers(shape.fields) : 'Record<string, unknown>';
+    }
+    if (shape.type === 'array') {
+      const items = shape.items && shape.items.type !== 'any' ? this.typeOf(shape.items) : 'unknown';
+      return shape.items?.type === 'function' ? `Array<${items}>` : `${items}[]`;
+    }
+    
+    const types = { string: 'string', number: 'number', boolean: 'boolean', function: '(...args: any[]) => void', node: 'ReactNode', any: 'unknown' };
+    return types[shape.type];
+  }
+
+  planBarrel() {
+    if (!this.barrel) return null;
+    
+    const components = this.extractedComponents.filter(component => component.kind === 'component');
+    if (components.length === 0) return null;
+    
+    const typescript = this.extension ? this.extension.startsWith('.ts') : this.isTypeScript;
+    const defaultPath = path.join(this.componentsDir, typescript ? 'index.ts' : 'index.js');
+    const existing = this.findExistingFile(defaultPath);
+    const filePath = existing ? existing.filePath : defaultPath;
+    const content = this.pendingFiles?.get(path.resolve(filePath)) ?? existing?.content ?? null;
+    
+    // What the barrel exports already, and from where
+    const normalize = specifier => specifier.replace(/\.(jsx?|tsx?)$/, '').replace(/\/index$/, '');
+    const exported = new Map();
+    const starSources = new Set();
+    
+    if (content !== null) {
+      let ast;
+      try {
+        ast = this.parseToAST(content);
+      } catch (error) {
+        throw new Error(`Could not read ${filePath}: ${error.message}`);
+      }
+      
+      ast.program.body.forEach(node => {
+        if (node.type === 'ExportAllDeclaration' && !node.exported) {
+          starSources.add(normalize(node.source.value));
+        } else if (node.type === 'ExportAllDeclaration' || node.type === 'ExportNamedDeclaration') {
+          const source = node.source ? normalize(node.source.value) : null;
+          const names = node.declaration
+            ? Object.keys(t.getBindingIdentifiers(node.declaration))
+            : (node.specifiers || []).map(specifier => specifier.exported.name ?? specifier.exported.value);
+          names.concat(node.exported ? [node.exported.name] : []).forEach(name => exported.set(name, source));
+        }
+      });
+    }
+    
+    const lines = [];
+    const names = new Set();
+    
+    components.forEach(component => {
+      const source = normalize(this.relativeSpecifier(filePath, this.componentFile(component)));
+      const named = this.usesNamedExports(component);
+      
+      if (exported.has(component.name)) {
+        if (exported.get(component.name) === source) {
+          names.add(component.name);
+        } else {
+          this.warnings.push(`${filePath} already exports a different ${component.name}; App imports it directly`);
+        }
+        return;
+      }
+      
+      // `export *` skips default exports
+      if (!(named && starSources.has(source))) {
+        lines.push(named
+          ? `export { ${component.name} } from '${source}';`
+          : `export { default as ${component.name} } from '${source}';`);
+      }
+      names.add(component.name);
+    });
+    
+    return { filePath, content, lines, names };
+  }
+
+  async generateBarrel() {
+    if (!this.barrelPlan || this.barrelPlan.lines.length === 0) return [];
+    
+    // Appended to what's there, which keeps its own order and formatting
+    const { filePath, content, lines, names } = this.barrelPlan;
+    const added = (await this.formatCode(lines.join('\n'), filePath)).trimEnd();
+    const code = content && content.trim() ? `${content.trimEnd()}\n${added}\n` : `${added}\n`;
+    
+    return [{
+      kind: 'barrel',
+      name: path.basename(filePath, path.extname(filePath)),
+      filePath,
+      exports: [...names],
+      code
+    }];
+  }
+
+  async generateScaffolds() {
+    const scaffolds = [];
+    const kinds = [
+      this.tests && { kind: 'test', suffix: 'test', render: this.renderTest },
+      this.stories && { kind: 'story', suffix: 'stories', render: this.renderStory }
+    ].filter(Boolean);
+    
+    for (const component of this.extractedComponents.filter(c => c.kind === 'component')) {
+      for (const { kind, suffix, render } of kinds) {
+        const filePath = this.scaffoldFile(component, suffix);
+        
+        // Tests and stories are written by hand from here on
+        if (this.readExistingFile(filePath) !== null) {
+          this.warnings.push(`${path.normalize(filePath)} already exists and was left as it is`);
+          continue;
+        }
+        
+        scaffolds.push({
+          kind,
+          name: component.name,
+          filePath,
+          code: await this.formatCode(render.call(this, component, filePath), filePath)
+        });
+      }
+    }
+    
+    return scaffolds;
+  }
+
+  scaffoldFile(component, suffix) {
+    // Card.test.jsx next to Card.jsx, or Card/Card.test.jsx in Card/index.jsx's folder
+    const file = this.componentFile(component);
+    const extension = path.extname(file);
+    const base = this.layout === 'folder' ? path.basename(path.dirname(file)) : path.basename(file, extension);
+    return path.join(path.dirname(file), `${base}.${suffix}${extension}`);
+  }
+
+  scaffoldImport(component, filePath) {
+    const binding = this.usesNamedExports(component) ? `{ ${component.name} }` : component.name;
+    return `import ${binding} from '${this.relativeSpecifier(filePath, this.componentFile(component))}';`;
+  }
+
+  examplePropsCode(component) {
+    if (component.exampleProps.length === 0) return null;
+    
+    // Values keep the way they were written in App
+    const properties = component.exampleProps.map(prop => {
+      const key = t.isValidIdentifier(prop.name) ? prop.name : `'${prop.name}'`;
+      return `${key}: ${this.sourceOf(prop.value)}`;
+    });
+    return `{\n${properties.join(',\n')}\n}`;
+  }
+
+  renderTest(component, filePath) {
+    const props = this.examplePropsCode(component);
+    const imports = [
+      this.usesClassicJSXRuntime() && "import React from 'react';",
+      "import { render } from '@testing-library/react';",
+      this.scaffoldImport(component, filePath)
+    ].filter(Boolean);
+    
+    return [
+      imports.join('\n'),
+      props && `const props = ${props};`,
+      `describe('${component.name}', () => {
+  it('renders without crashing', () => {
+    render(<${component.name}${props ? ' {...props}' : ''} />);
+  });
+});`
+    ].filter(Boolean).join('\n\n');
+  }
+
+  renderStory(component, filePath) {
+    // Component Story Format 3: the default export describes the component, each named export a story
+    const typescript = /\.tsx?$/.test(filePath);
+    const args = this.examplePropsCode(component) || '{}';
+    
+    if (!typescript) {
+      return `${this.scaffoldImport(component, filePath)}
+
+export default {
+  component: ${component.name},
+};
+
+export const Default = {
+  args: ${args},
+};`;
+    }
+    
+    return `import type { Meta, StoryObj } from '@storybook/react';
+${this.scaffoldImport(component, filePath)}
+
+const meta = {
+  component: ${component.name},
+} satisfies Meta<typeof ${component.name}>;
+
+export default meta;
+
+type Story = StoryObj<typeof meta>;
+
+export const Default: Story = {
+  args: ${args},
+};`;
+  }
+
+  async generateSharedModules() {
+    const shared = this.movedDeclarations.filter(declaration => declaration.target === 'shared');
+    if (shared.length === 0) return [];
+    
+    let filePath = this.sharedModulePath;
+    if (this.isTypeScript) {
+      filePath = filePath.replace(/\.jsx?$/, shared.some(declaration => declaration.usesJSX) ? '.tsx' : '.ts');
+    }
+    
+    // Added to the module that's there, which keeps its own order and formatting;
+    // declarations it already has are reused, a different one by the same name is an error
+    const content = this.pendingFiles?.get(path.resolve(filePath)) ?? this.readExistingFile(filePath);
+    const existing = content && content.trim() ? this.readSharedModule(content, filePath) : null;
+    const added = shared.filter(declaration => {
+      const taken = declaration.names.filter(name => existing?.bound.has(name));
+      if (taken.length === 0) return true;
+      
+      const code = this.sourceOf(declaration.node);
+      const same = taken.length === declaration.names.length && taken.every(name =>
+        existing.exported.has(name) && this.isSameModule(existing.exported.get(name), code)
+      );
+      if (!same) {
+        throw new Error(`${path.normalize(filePath)} already has its own ${taken.join(', ')} (rename one of them)`);
+      }
+      return false;
+    });
+    
+    const sharedNames = new Set(shared.flatMap(declaration => declaration.names));
+    const bound = existing ? existing.bound : new Set();
+    const references = new Set();
+    let usesJSX = false;
+    
+    added.forEach(declaration => {
+      declaration.references
+        .filter(name => !sharedNames.has(name) && !bound.has(name))
+        .forEach(name => references.add(name));
+      usesJSX = usesJSX || declaration.usesJSX;
+    });
+    
+    const imports = this.buildImportStatements(references, usesJSX && !bound.has('React'), filePath);
+    this.extractedComponents
+      .filter(component => this.exportsOf(component).some(name => references.has(name)))
+      .forEach(component => imports.push(this.componentImport(component, filePath, references)));
+    
+    const declarations = added
+      .map(declaration => `${declaration.comments}export ${this.sourceOf(declaration.node)}`)
+      .join('\n\n');
+    
+    let code;
+    if (!existing) {
+      code = await this.formatCode([imports.join('\n'), declarations].filter(Boolean).join('\n\n'), filePath);
+    } else if (added.length === 0) {
+      code = content;
+    } else {
+      // New imports go after the last import that's there, new declarations at the end
+      const importCode = imports.length > 0 ? `${(await this.formatCode(imports.join('\n'), filePath)).trimEnd()}\n` : '';
+      const head = existing.importsEnd > 0 ? `${content.slice(0, existing.importsEnd)}\n${importCode}` : importCode && `${importCode}\n`;
+      const body = content.slice(existing.importsEnd).replace(/^\n/, '').trimEnd();
+      code = `${head}${body}\n\n${(await this.formatCode(declarations, filePath)).trimEnd()}\n`;
+    }
+    
+    return [{
+      kind: 'shared',
+      name: path.basename(filePath, path.extname(filePath)),
+      filePath,
+      exports: [...sharedNames],
+      code
+    }];
+  }
+
+  readSharedModule(content, filePath) {
+    let ast;
+    try {
+      ast = this.parseToAST(content);
+    } catch (error) {
+      throw new Error(`Could not read ${filePath}: ${error.message}`);
+    }
+    
+    // Every top-level name, the source of each exported declaration, and where the imports end
+    const bound = new Set();
+    const exported = new Map();
+    let importsEnd = ast.program.directives.length > 0 ? ast.program.directives[ast.program.directives.length - 1].end : 0;
+    
+    ast.program.body.forEach(node => {
+      if (node.type === 'ImportDeclaration') {
+        node.specifiers.forEach(specifier => bound.add(specifier.local.name));
+        importsEnd = node.end;
+        return;
+      }
+      
+      const declaration = node.type === 'ExportNamedDeclaration' ? node.declaration : node;
+      if (!declaration) return;
+      
+      // Type aliases and interfaces aren't binding identifiers to Babel
+      const names = declaration.id?.type === 'Identifier' && declaration.type.startsWith('TS')
+        ? [declaration.id.name]
+        : Object.keys(t.getBindingIdentifiers(declaration, false, true));
+      names.forEach(name => {
+        bound.add(name);
+        if (node !== declaration) {
+          exported.set(name, content.slice(declaration.start, declaration.end));
+        }
+      });
+    });
+    
+    return { bound, exported, importsEnd };
+  }
+
+  async updateAppFile(ast) {
+    this.log('🔄 Updating App.jsx with imports...');
+    
+    // Splice the changes into the original source so that everything the
+    // extraction didn't touch stays byte-for-byte identical
+    const importBlock = this.imports.length > 0
+      ? (await this.formatCode(this.imports.join('\n'), this.appFilePath)).trimEnd()
+      : '';
+    const edited = this.applyAppEdits(ast, importBlock);
+    if (edited !== null) {
+      return edited;
+    }
     
     let updatedContent = generate(ast, {}, '').code;
     
@@ -294,9 +3503,11 @@ class ReactModularizer {
       
       // Find where to insert imports
       for (let i = 0; i < lines.length; i++) {
-        if (lines[i].trim().startsWith('import ')) {
+        const line = lines[i].trim();
+        // Directives like 'use client' have to stay on top
+        if (line.startsWith('import ') || /^(['"])use [a-z ]+\1;?$/.test(line)) {
           insertIndex = i + 1;
-        } else if (lines[i].trim() && !lines[i].trim().startsWith('import ')) {
+        } else if (line) {
           break;
         }
       }
@@ -305,17 +3516,222 @@ class ReactModularizer {
       updatedContent = lines.join('\n');
     }
     
-    return await this.formatCode(updatedContent);
+    return await this.formatCode(updatedContent, this.appFilePath);
+  }
+
+  sourceOf(node) {
+    if (node.start == null) {
+      // Synthesized by an earlier step, so there is no original text
+      return generate({ ...node, leadingComments: null }).code;
+    }
+    
+    // Earlier steps may have changed it, like lifted props or JSX replaced by a component;
+    // insertions right at either end belong to what's around it
+    const edits = (this.appEdits || []).filter(edit => (edit.start === edit.end
+      ? node.start < edit.start && edit.end < node.end
+      : node.start <= edit.start && edit.end <= node.end && !(edit.start === node.start && edit.end === node.end)
+    ));
+    if (edits.length === 0) {
+      return this.sourceCode.slice(node.start, node.end);
+    }
+    
+    const spliced = this.appEditsComplete ? this.spliceEdits(edits, node.start, node.end) : null;
+    return spliced ?? generate({ ...node, leadingComments: null }).code;
+  }
+
+  isLineStart(offset) {
+    const lineStart = this.sourceCode.lastIndexOf('\n', offset - 1) + 1;
+    return this.sourceCode.slice(lineStart, offset).trim() === '';
+  }
+
+  commentBlockStart(node) {
+    // The comments directly above a declaration belong to it; a blank line
+    // or a comment trailing the previous statement ends the block
+    const comments = node.leadingComments || [];
+    let start = node.start;
+    let line = node.loc.start.line;
+    
+    for (let i = comments.length - 1; i >= 0; i--) {
+      const comment = comments[i];
+      if (comment.loc.end.line < line - 1 || !this.isLineStart(comment.start)) break;
+      start = comment.start;
+      line = comment.loc.start.line;
+    }
+    
+    return start;
+  }
+
+  leadingCommentsOf(node) {
+    if (node.start == null) return '';
+    
+    const start = this.commentBlockStart(node);
+    return start < node.start ? this.sourceCode.slice(start, node.start) : '';
+  }
+
+  recordRemoval(node) {
+    if (node.start == null) return; // Never made it into the original text
+    
+    const source = this.sourceCode;
+    let start = this.commentBlockStart(node);
+    let end = node.end;
+    
+    const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+    if (source.slice(lineStart, start).trim() === '') {
+      start = lineStart;
+    }
+    
+    // Take the rest of the line along if nothing but a comment follows
+    const newline = source.indexOf('\n', end);
+    const lineEnd = newline === -1 ? source.length : newline + 1;
+    if (/^\s*(\/\/.*|\/\*.*\*\/\s*)?$/.test(source.slice(end, lineEnd).replace(/\n$/, ''))) {
+      end = lineEnd;
+    }
+    
+    this.appEdits.push({ start, end, text: '' });
+  }
+
+  topLevelStatement(path) {
+    // The statement itself, or the `export` wrapped around it
+    if (path.parentPath.isProgram()) return path;
+    if (path.parentPath.isExportNamedDeclaration() && path.parentPath.parentPath.isProgram()) {
+      return path.parentPath;
+    }
+    return null;
+  }
+
+  removeFromApp(path) {
+    if (!path.isVariableDeclarator()) {
+      this.recordRemoval(path.node);
+      path.remove();
+      return;
+    }
+    
+    const declarations = path.parentPath.node.declarations;
+    if (declarations.length === 1) {
+      this.removeFromApp(this.topLevelStatement(path.parentPath) || path.parentPath);
+      return;
+    }
+    
+    // Take one separating comma along with the declarator
+    const index = declarations.indexOf(path.node);
+    const start = index === 0 ? path.node.start : declarations[index - 1].end;
+    const end = index === 0 ? declarations[1].start : path.node.end;
+    if (start == null || end == null) {
+      this.appEditsComplete = false;
+    } else {
+      this.appEdits.push({ start, end, text: '' });
+    }
+    path.remove();
+  }
+
+  recordReplacement(node, text) {
+    if (node.start == null) {
+      this.appEditsComplete = false;
+      return;
+    }
+    this.appEdits.push({ start: node.start, end: node.end, text });
+  }
+
+  recordInsertion(offset, text) {
+    if (offset == null) {
+      this.appEditsComplete = false;
+      return;
+    }
+    this.appEdits.push({ start: offset, end: offset, text });
+  }
+
+  applyAppEdits(ast, importBlock) {
+    if (!this.appEditsComplete) return null;
+    
+    const edits = [...this.appEdits];
+    const body = ast.program.body;
+    
+    // Generated components that ended up staying in App
+    this.insertedStatements
+      .filter(inserted => body.includes(inserted.node) && inserted.before.start != null)
+      .forEach(inserted => {
+        edits.push({
+          start: inserted.before.start,
+          end: inserted.before.start,
+          text: `${generate(inserted.node).code}\n\n`
+        });
+      });
+    
+    if (importBlock) {
+      // After the last import that survived, or at the very top
+      const lastImport = body.filter(node => node.type === 'ImportDeclaration' && node.start != null).pop();
+      const firstStatement = body.find(node => node.start != null);
+      
+      if (lastImport) {
+        edits.push({ start: lastImport.end, end: lastImport.end, text: `\n${importBlock}` });
+      } else {
+        const offset = firstStatement ? this.commentBlockStart(firstStatement) : this.sourceCode.length;
+        edits.push({ start: offset, end: offset, text: `${importBlock}\n\n` });
+      }
+    }
+    
+    return this.spliceEdits(edits, 0, this.sourceCode.length);
+  }
+
+  spliceEdits(edits, from, to) {
+    // Insertions before removals at the same offset; anything inside a
+    // replaced range was already carried away with it
+    const sorted = [...edits].sort((a, b) =>
+      a.start - b.start ||
+      (a.end === a.start ? 0 : 1) - (b.end === b.start ? 0 : 1) ||
+      b.end - a.end
+    );
+    
+    let output = '';
+    let cursor = from;
+    
+    for (const edit of sorted) {
+      if (edit.start < cursor) {
+        if (edit.end <= cursor) continue;
+        return null; // Partially overlapping edits - fall back to regenerating
+      }
+      output += this.sourceCode.slice(cursor, edit.start) + edit.text;
+      cursor = edit.end;
+      
+      // Don't leave two blank lines where removed code used to be
+      if (edit.text === '' && (output === '' || output.endsWith('\n\n'))) {
+        const blankLines = /^(?:[ \t]*\n)+/.exec(this.sourceCode.slice(cursor, to));
+        if (blankLines) {
+          cursor += blankLines[0].length;
+        }
+      }
+    }
+    
+    return output + this.sourceCode.slice(cursor, to);
+  }
+
+  async resolveFormatOptions(filePath) {
+    if (this.formatting === 'prettier') {
+      return { ...this.prettierOptions };
+    }
+    
+    // The project's own .prettierrc / .editorconfig for wherever the file lands
+    if (this.formatting === 'project' && filePath) {
+      try {
+        const resolved = await prettier.resolveConfig(path.resolve(filePath), { editorconfig: true });
+        if (resolved) {
+          return { ...resolved, ...this.prettierOptions };
+        }
+      } catch (error) {
+        this.log(`⚠️  Could not read Prettier config for ${filePath}: ${error.message}`);
+      }
+    }
+    
+    return { ...DEFAULT_FORMAT_OPTIONS, ...this.prettierOptions };
   }
 
-  async formatCode(code) {
+  async formatCode(code, filePath) {
     try {
+      const options = await this.resolveFormatOptions(filePath);
+      // A .tsx target may hold types, like an inferred Props interface, even from a .jsx source
       return await prettier.format(code, {
-        parser: 'babel',
-        semi: true,
-        singleQuote: true,
-        tabWidth: 2,
-        trailingComma: 'es5'
+        ...options,
+        parser: this.isTypeScript || /\.tsx?$/.test(filePath) ? 'typescript' : 'babel'
       });
     } catch (error) {
       this.log('⚠️  Prettier formatting failed, using unformatted code');
@@ -336,27 +3752,42 @@ class ReactModularizer {
     this.log('```\n');
     
     // Display each component file
-    result.components.forEach(component => {
+    result.components.filter(component => !component.reused).forEach(component => {
       this.log(`📄 components/${component.filename}:`);
       this.log('```jsx');
       this.log(component.code);
       this.log('```\n');
     });
     
+    // Display hooks, contexts, utils and shared modules
+    result.modules.filter(extracted => !extracted.reused).forEach(sharedModule => {
+      this.log(`📄 ${path.normalize(sharedModule.filePath)}:`);
+      this.log('```js');
+      this.log(sharedModule.code);
+      this.log('```\n');
+    });
+    
+    result.warnings.forEach(warning => {
+      this.log(`⚠️  ${warning}`);
+    });
+    
+    result.conflicts.forEach(conflict => {
+      const target = conflict.renamedTo ? ` → ${path.normalize(conflict.renamedTo)}` : '';
+      this.log(`🔀 ${path.normalize(conflict.filePath)} already existed: ${conflict.resolution}${target}`);
+    });
+    
     this.log('='.repeat(60));
     this.log(`✅ Extracted ${result.components.length} component(s)`);
-    this.log(`✅ Created ${result.components.length} file(s) in /components`);
+    this.log(`✅ Created ${result.components.length + result.modules.length} file(s)`);
     this.log('✅ Updated App.jsx with import statements\n');
   }
 }
 
-// CLI Entry Point
+module.exports = ReactModularizer;
+
+// Kept so `node lib/modularizer.js` still works; the CLI lives in modularize.js
 if (require.main === module) {
-  const modularizer = new ReactModularizer();
-  modularizer.run().catch(error => {
-    console.error('💥 Fatal Error:', error.message);
-    process.exit(1);
+  require('./modularize.js').main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
   });
 }
-
-module.exports = ReactModularizer;
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const minimatch = require('minimatch');
+const ReactModularizer = require('./modularizer.js');
+const { formatChangeSet } = require('./diff.js');
+const TransactionHistory = require('./history.js');
+const { mergeGraphs } = require('./graph.js');
+const { loadConfig, outputDirFor } = require('./config.js');
+
+const DEFAULT_INCLUDE = [
+  'pages/**/*.{js,jsx,ts,tsx}',
+  'app/**/*.{js,jsx,ts,tsx}',
+  'src/**/*.{js,jsx,ts,tsx}'
+];
+
+const DEFAULT_EXCLUDE = [
+  '**/*.{test,spec,stories}.{js,jsx,ts,tsx}',
+  '**/*.d.ts',
+  'pages/api/**',
+  'src/pages/api/**',
+  '**/_app.*',
+  '**/_document.*'
+];
+
+// Never worth walking into
+const IGNORED_DIRECTORIES = ['node_modules', '.git', '.next', 'dist', 'build', 'coverage'];
+
+class ProjectModularizer {
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || '.';
+    this.files = options.files || null; // Skips the directory walk
+    this.include = options.include || DEFAULT_INCLUDE;
+    this.exclude = options.exclude || DEFAULT_EXCLUDE;
+    this.layout = options.layout || 'shared'; // 'shared' | 'per-file'
+    this.config = options.config || loadConfig(this.rootDir, options.configPath);
+    this.componentsDir = options.componentsDir || null; // Otherwise from the config
+    this.verbose = options.verbose !== false;
+    this.dryRun = options.dryRun || false;
+    this.check = options.check || false;
+    this.pendingFiles = new Map(); // Each file's barrel and shared module build on the ones before it
+    
+    // Everything else is handed to each file's ReactModularizer
+    this.modularizerOptions = options.modularizerOptions || {};
+  }
+
+  log(message) {
+    if (this.verbose) {
+      console.log(message);
+    }
+  }
+
+  async run() {
+    this.log('🚀 React Component Modularizer - Project Mode\n');
+    
+    const files = this.files || this.findSourceFiles();
+    this.log(`📖 Found ${files.length} file(s) to scan in ${this.rootDir}\n`);
+    
+    const report = {
+      files: [],
+      skipped: [],
+      errors: [],
+      changes: [],
+      extractedCount: 0
+    };
+    
+    // Files already extracted to, and by whom
+    const claimedNames = new Map();
+    
+    for (const file of files) {
+      const relativeFile = this.relativePath(file);
+      
+      try {
+        const entry = await this.modularizeFile(file, claimedNames);
+        
+        if (entry.components.length + entry.modules.length === 0) {
+          report.skipped.push({ file: relativeFile, reason: 'nothing to extract' });
+        } else {
+          report.files.push(entry);
+          report.changes.push(...entry.changes);
+          report.extractedCount += entry.components.length;
+        }
+        
+        entry.skipped.forEach(skipped => report.skipped.push({ file: relativeFile, ...skipped }));
+      } catch (error) {
+        report.errors.push({ file: relativeFile, reason: error.message });
+      }
+    }
+    
+    report.graph = mergeGraphs(report.files.map(entry => entry.graph));
+    
+    if (this.check) {
+      this.displayCheck(report);
+      return report;
+    }
+    
+    if (this.dryRun) {
+      this.log('🔎 Dry run - no files were written\n');
+      if (report.changes.length > 0) {
+        this.log(formatChangeSet(report.changes) + '\n');
+      }
+    } else if (report.changes.length > 0) {
+      // All files land in one transaction, so a failure anywhere rolls back everything
+      const history = new TransactionHistory({ rootDir: this.rootDir });
+      report.transactionId = history.apply(this.dedupeChanges(report.changes), { source: this.rootDir }).id;
+    }
+    
+    this.displayReport(report);
+    return report;
+  }
+
+  findSourceFiles() {
+    const files = [];
+    
+    const walk = directory => {
+      fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(directory, entry.name);
+        
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+            walk(fullPath);
+          }
+        } else if (this.matches(this.relativePath(fullPath))) {
+          files.push(fullPath);
+        }
+      });
+    };
+    
+    walk(this.rootDir);
+    return files.sort();
+  }
+
+  matches(relativeFile) {
+    const options = { dot: true };
+    return this.include.some(pattern => minimatch(relativeFile, pattern, options)) &&
+           !this.exclude.some(pattern => minimatch(relativeFile, pattern, options));
+  }
+
+  relativePath(file) {
+    return path.relative(this.rootDir, file).split(path.sep).join('/');
+  }
+
+  outputDirFor(file) {
+    if (this.layout !== 'per-file') {
+      return this.componentsDir || outputDirFor(this.config, file);
+    }
+    
+    // pages/dashboard/index.jsx -> components/pages/dashboard
+    // Components never land inside pages/ itself, where they would become routes
+    const relative = path.relative(this.rootDir, file);
+    const base = path.basename(relative, path.extname(relative));
+    const directory = path.dirname(relative);
+    
+    const componentsDir = this.componentsDir || path.join(this.rootDir, this.config.output.dir);
+    return path.join(componentsDir, directory, base === 'index' ? '' : base);
+  }
+
+  sharedModuleFor(file) {
+    if (this.layout === 'per-file') {
+      return path.join(this.outputDirFor(file), 'shared.js');
+    }
+    
+    const relative = path.relative(this.rootDir, file);
+    const withoutExtension = relative.slice(0, -path.extname(relative).length);
+    return path.join(this.rootDir, 'lib', 'shared', `${withoutExtension}.js`);
+  }
+
+  createModularizer(file, skipComponents = []) {
+    return new ReactModularizer({
+      ...this.modularizerOptions,
+      config: this.config,
+      appFilePath: file,
+      componentsDir: this.outputDirFor(file),
+      sharedModulePath: this.sharedModuleFor(file),
+      skipComponents: [...(this.modularizerOptions.skipComponents || []), ...skipComponents],
+      pendingFiles: this.pendingFiles,
+      verbose: false
+    });
+  }
+
+  async modularizeFile(file, claimedNames) {
+    const relativeFile = this.relativePath(file);
+    const code = fs.readFileSync(file, 'utf8');
+    
+    let modularizer = this.createModularizer(file);
+    let result = await modularizer.processCode(code);
+    const skipped = [];
+    
+    // Two files extracting different components, hooks, contexts or utils to the
+    // same path would overwrite each other - keep the later one in place
+    const collisions = modularizer.outputFiles(result).filter(output => {
+      const claimed = claimedNames.get(path.resolve(output.filePath));
+      return claimed && claimed.file !== relativeFile && claimed.code !== output.code;
+    });
+    
+    if (collisions.length > 0) {
+      collisions.forEach(output => {
+        skipped.push({
+          component: output.name,
+          reason: `${output.output.filename || path.basename(output.filePath)} is already extracted from ${claimedNames.get(path.resolve(output.filePath)).file}`
+        });
+      });
+      
+      modularizer = this.createModularizer(file, collisions.map(output => output.name));
+      result = await modularizer.processCode(code);
+    }
+    
+    modularizer.outputFiles(result).forEach(output => {
+      claimedNames.set(path.resolve(output.filePath), { file: relativeFile, code: output.code });
+    });
+    
+    result.modules
+      .filter(extracted => extracted.kind === 'barrel' || extracted.kind === 'shared')
+      .forEach(merged => this.pendingFiles.set(path.resolve(merged.filePath), merged.code));
+    
+    // Written together at the end of the run
+    const changes = result.components.length + result.modules.length > 0 ? modularizer.buildChangeSet(result) : [];
+    
+    return {
+      file: relativeFile,
+      componentsDir: this.relativePath(modularizer.componentsDir),
+      components: result.components.map(component => component.name),
+      modules: result.modules.map(sharedModule => this.relativePath(sharedModule.filePath)),
+      warnings: result.warnings,
+      conflicts: result.conflicts,
+      detections: result.detections,
+      // Files relative to the root, since they qualify node IDs once graphs are merged
+      graph: {
+        ...result.graph,
+        nodes: result.graph.nodes.map(node => ({ ...node, file: this.relativePath(node.file) }))
+      },
+      changes,
+      skipped
+    };
+  }
+
+  dedupeChanges(changes) {
+    // Identical components from several files target the same path, and the
+    // last barrel or shared module already includes what the ones before it added
+    const byPath = new Map();
+    changes.forEach(change => {
+      const key = path.resolve(change.filePath);
+      const earlier = byPath.get(key);
+      if (earlier && earlier.after !== change.after && !this.pendingFiles.has(key)) {
+        throw new Error(`${this.relativePath(change.filePath)} would be written twice with different contents`);
+      }
+      byPath.set(key, change);
+    });
+    return [...byPath.values()];
+  }
+
+  displayCheck(report) {
+    if (report.files.length === 0) {
+      this.log('✅ All files are already modular');
+      return;
+    }
+    
+    report.files.forEach(entry => {
+      this.log(`❌ ${entry.file} would be modularized (${entry.components.join(', ')})`);
+    });
+  }
+
+  displayReport(report) {
+    if (!this.verbose) return;
+    
+    this.log('🎯 PROJECT MODULARIZATION REPORT\n');
+    this.log('='.repeat(60));
+    
+    report.files.forEach(entry => {
+      this.log(`\n📄 ${entry.file} → ${entry.componentsDir}/`);
+      entry.components.forEach(name => this.log(`  ✓ ${name}`));
+      entry.modules.forEach(modulePath => this.log(`  ✓ ${modulePath}`));
+      entry.warnings.forEach(warning => this.log(`  ⚠️  ${warning}`));
+      entry.conflicts.forEach(conflict => {
+        const target = conflict.renamedTo ? ` → ${this.relativePath(conflict.renamedTo)}` : '';
+        this.log(`  🔀 ${this.relativePath(conflict.filePath)} already existed: ${conflict.resolution}${target}`);
+      });
+    });
+    
+    if (report.skipped.length > 0) {
+      this.log('\n⏭️  Skipped:');
+      report.skipped.forEach(skipped => {
+        const subject = skipped.component ? `${skipped.file} (${skipped.component})` : skipped.file;
+        this.log(`  - ${subject}: ${skipped.reason}`);
+      });
+    }
+    
+    if (report.errors.length > 0) {
+      this.log('\n❌ Failed:');
+      report.errors.forEach(failed => this.log(`  - ${failed.file}: ${failed.reason}`));
+    }
+    
+    this.log('\n' + '='.repeat(60));
+    this.log(`✅ Extracted ${report.extractedCount} component(s) from ${report.files.length} file(s)`);
+    if (report.transactionId) {
+      const where = path.resolve(this.rootDir) === process.cwd() ? '' : ` in ${this.rootDir}`;
+      this.log(`💾 Saved as run ${report.transactionId} (undo with: modularize undo${where})`);
+    }
+    this.log('');
+  }
+}
+
+module.exports = ProjectModularizer;
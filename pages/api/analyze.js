@@ -0,0 +1,70 @@
+
+const ReactModularizer = require('../../lib/modularizer.js');
+const { loadConfig, normalizeConfig } = require('../../lib/config.js');
+
+
+export const config = {
+  api: {
+    bodyParser: {
+      sizeLimit: '1mb',
+    },
+  },
+};
+
+// The server's thresholds, with per-request overrides on top
+function requestConfig(overrides = {}) {
+  const base = loadConfig('.');
+  return normalizeConfig({
+    ...base,
+    analyze: { ...base.analyze, ...overrides.analyze }
+  }, base.rootDir);
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Only POST method allowed' });
+  }
+
+  const { code, typescript, config } = req.body;
+
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({ error: 'Missing or invalid code' });
+  }
+
+  let modularizerConfig;
+  try {
+    modularizerConfig = requestConfig(config);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    // Only measures the code; nothing is extracted or written
+    const modularizer = new ReactModularizer({
+      verbose: false,
+      typescript: typescript ?? 'auto',
+      config: modularizerConfig
+    });
+
+    const report = await modularizer.analyze(code);
+
+    const endTime = Date.now();
+
+    return res.status(200).json({
+      components: report.components,
+      thresholds: report.thresholds,
+      warnings: report.warnings,
+      typescript: report.typescript,
+      processingTime: endTime - startTime
+    });
+
+  } catch (err) {
+    console.error('❌ Analysis failed:', err);
+    return res.status(500).json({
+      error: err.message || 'Internal error during analysis',
+      details: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+}
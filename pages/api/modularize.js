@@ -1,5 +1,6 @@
 
 const ReactModularizer = require('../../lib/modularizer.js');
+const { loadConfig, normalizeConfig } = require('../../lib/config.js');
 
 
 export const config = {
@@ -10,23 +11,92 @@ export const config = {
   },
 };
 
+// Requests only get to pick plain style options - never plugins or parsers
+const FORMAT_OPTION_TYPES = {
+  semi: 'boolean',
+  singleQuote: 'boolean',
+  jsxSingleQuote: 'boolean',
+  bracketSpacing: 'boolean',
+  useTabs: 'boolean',
+  tabWidth: 'number',
+  printWidth: 'number',
+  trailingComma: ['none', 'es5', 'all'],
+  arrowParens: ['avoid', 'always']
+};
+
+// There is no project on the server to read a Prettier config from, so the
+// profile is either the built-in style, Prettier's defaults, or custom options
+function formattingOptions(formatting = {}) {
+  const profile = formatting.profile || 'default';
+  const prettierOptions = {};
+  
+  if (!['default', 'prettier', 'custom'].includes(profile)) {
+    throw new Error(`Unknown formatting profile: ${profile}`);
+  }
+  
+  if (profile === 'custom') {
+    Object.entries(formatting.options || {}).forEach(([key, value]) => {
+      const type = FORMAT_OPTION_TYPES[key];
+      const valid = Array.isArray(type) ? type.includes(value) : typeof value === type;
+      if (!valid) {
+        throw new Error(`Invalid formatting option: ${key}`);
+      }
+      prettierOptions[key] = value;
+    });
+  }
+  
+  return {
+    formatting: profile === 'prettier' ? 'prettier' : 'default',
+    prettierOptions
+  };
+}
+
+// The server's own modularizer config, with per-request overrides on top
+function requestConfig(overrides = {}) {
+  const base = loadConfig('.');
+  return normalizeConfig({
+    components: { ...base.components, ...overrides.components },
+    output: { ...base.output, ...overrides.output },
+    extract: { ...base.extract, ...overrides.extract }
+  }, base.rootDir);
+}
+
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Only POST method allowed' });
   }
 
-  const { code } = req.body;
+  const { code, typescript, extractNested, extractJSX, formatting, config, onConflict, existingFiles } = req.body;
 
   if (!code || typeof code !== 'string') {
     return res.status(400).json({ error: 'Missing or invalid code' });
   }
 
+  let formatOptions;
+  let modularizerConfig;
+  try {
+    formatOptions = formattingOptions(formatting);
+    modularizerConfig = requestConfig({
+      ...config,
+      output: { ...config?.output, ...(onConflict && { onConflict }) }
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
   const startTime = Date.now();
 
   try {
     // Use the modularizer directly instead of spawning a process
     const modularizer = new ReactModularizer({ 
-      verbose: false  // Don't log to console in API
+      verbose: false,  // Don't log to console in API
+      typescript: typescript ?? 'auto',
+      extractNested: Boolean(extractNested),
+      extractJSX: Array.isArray(extractJSX) ? extractJSX : [],
+      ...formatOptions,
+      config: modularizerConfig,
+      // Only ever compared against what the client sends, never the server's disk
+      existingFiles: existingFiles && typeof existingFiles === 'object' ? existingFiles : {}
     });
     
     const result = await modularizer.processCode(code);
@@ -36,10 +106,21 @@ export default async function handler(req, res) {
     return res.status(200).json({
       updatedApp: result.updatedApp,
       components: result.components,
+      modules: result.modules,
+      warnings: result.warnings,
+      conflicts: result.conflicts,
+      detections: result.detections,
+      graph: result.graph,
+      jsxExtractions: result.jsxExtractions,
+      typescript: result.typescript,
       processingTime: endTime - startTime
     });
     
   } catch (err) {
+    if (err.conflicts) {
+      return res.status(409).json({ error: err.message, conflicts: err.conflicts });
+    }
+
     console.error('❌ Modularization failed:', err);
     return res.status(500).json({ 
       error: err.message || 'Internal error during modularization',
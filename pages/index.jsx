@@ -1,5 +1,6 @@
 import React, { useState, useRef } from 'react';
-import { Upload, FileText, Settings, Download, Rocket, BookOpen, Copy, Check, Trash2, RefreshCw } from 'lucide-react';
+import { Upload, FileText, Settings, Download, Rocket, BookOpen, Copy, Check, Trash2, RefreshCw, Scissors, X } from 'lucide-react';
+import { formatGraph } from '../lib/graph';
 
 export default function ReactModularizer() {
   const [code, setCode] = useState('');
@@ -9,7 +10,17 @@ export default function ReactModularizer() {
   const [progress, setProgress] = useState(0);
   const [processing, setProcessing] = useState(false);
   const [copiedStates, setCopiedStates] = useState({});
+  const [jsxSelections, setJsxSelections] = useState([]);
+  const [selectionName, setSelectionName] = useState('');
+  const [formatting, setFormatting] = useState({
+    profile: 'default',
+    options: { singleQuote: true, semi: true, tabWidth: 2, trailingComma: 'es5' }
+  });
+  const [extract, setExtract] = useState({ hooks: true, contexts: true, utils: false });
+  const [appRouter, setAppRouter] = useState(false);
+  const [layout, setLayout] = useState({ layout: 'flat', barrel: false, tests: false, stories: false, inferProps: false });
   const fileInputRef = useRef(null);
+  const textareaRef = useRef(null);
 
   const exampleCode = `import React, { useState } from 'react';
 
@@ -136,14 +147,51 @@ export default App;`;
 
   const loadExample = () => {
     setCode(exampleCode);
+    setJsxSelections([]);
     updateStatus('Example loaded', 'success');
   };
 
   const clearInput = () => {
     setCode('');
+    setJsxSelections([]);
     updateStatus('Input cleared', 'success');
   };
 
+  // Babel locations: 1-based lines, 0-based columns
+  const offsetToPosition = (offset) => {
+    const lines = code.slice(0, offset).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length };
+  };
+
+  const addJsxSelection = () => {
+    const { selectionStart, selectionEnd } = textareaRef.current;
+    const name = selectionName.trim();
+
+    if (selectionStart === selectionEnd) {
+      updateStatus('Select a JSX element in the input first', 'error');
+      return;
+    }
+    if (!/^[A-Z][A-Za-z0-9]*$/.test(name)) {
+      updateStatus('Component name must be PascalCase', 'error');
+      return;
+    }
+
+    setJsxSelections(prev => [
+      ...prev.filter(selection => selection.name !== name),
+      { name, start: offsetToPosition(selectionStart), end: offsetToPosition(selectionEnd) }
+    ]);
+    setSelectionName('');
+    updateStatus(`Selection will be extracted as ${name}`, 'success');
+  };
+
+  const removeJsxSelection = (name) => {
+    setJsxSelections(prev => prev.filter(selection => selection.name !== name));
+  };
+
+  const updateFormatOption = (key, value) => {
+    setFormatting(prev => ({ ...prev, options: { ...prev.options, [key]: value } }));
+  };
+
   const processCode = async () => {
     if (!code.trim()) {
       updateStatus('Please provide App.jsx content', 'error');
@@ -163,7 +211,13 @@ export default App;`;
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ code })
+        body: JSON.stringify({
+          code,
+          extractJSX: jsxSelections,
+          formatting,
+          // 'auto' still picks up a pasted file that starts with 'use client'
+          config: { extract, output: { clientDirective: appRouter || 'auto', ...layout } }
+        })
       });
 
       if (!response.ok) {
@@ -199,20 +253,6 @@ export default App;`;
     }
   };
 
-  const generateFileStructure = (components) => {
-    let structure = `your-nextjs-project/\n├── pages/\n│   ├── _app.js             // Next.js app wrapper\n│   ├── index.js            // Homepage\n│   └── api/\n│       └── modularize.js   // API endpoint\n├── components/             // Generated components\n`;
-    
-    components.forEach((component, index) => {
-      const isLast = index === components.length - 1;
-      const prefix = isLast ? '└──' : '├──';
-      structure += `│   ${prefix} ${component.filename}\n`;
-    });
-    
-    structure += `├── styles/\n│   └── globals.css         // Global styles\n├── package.json           // Project dependencies\n└── next.config.js         // Next.js config\n\n📊 Summary:\n• ${components.length} components extracted\n• ${components.length + 1} files created\n• Next.js compatible structure\n• Ready for production deployment`;
-    
-    return structure;
-  };
-
   const downloadResults = () => {
     if (!results) {
       updateStatus('No results to download', 'error');
@@ -225,7 +265,11 @@ export default App;`;
     };
 
     results.components.forEach(component => {
-      zip.components[`${component.name}.jsx`] = component.code;
+      zip.components[component.filename] = component.code;
+    });
+
+    results.modules?.forEach(sharedModule => {
+      zip[sharedModule.filePath.replace(/^\.\//, '')] = sharedModule.code;
     });
 
     const dataStr = JSON.stringify(zip, null, 2);
@@ -330,18 +374,19 @@ Built for Next.js developers who value clean, maintainable code architecture.`);
             >
               <Upload size={48} className="mx-auto mb-4 text-slate-400" />
               <div className="text-slate-300 mb-2">Drop Next.js page file here or click to upload</div>
-              <div className="text-sm text-slate-500">Supports React .jsx, .js, and Next.js page files</div>
+              <div className="text-sm text-slate-500">Supports React .jsx, .js, .tsx, .ts, and Next.js page files</div>
             </div>
             
             <input
               ref={fileInputRef}
               type="file"
-              accept=".jsx,.js"
+              accept=".jsx,.js,.tsx,.ts"
               onChange={handleFileUpload}
               className="hidden"
             />
             
             <textarea
+              ref={textareaRef}
               value={code}
               onChange={(e) => setCode(e.target.value)}
               className="w-full h-48 p-4 bg-slate-900 border border-slate-600 rounded-lg text-slate-100 font-mono text-sm leading-6 resize-y focus:outline-none focus:border-blue-500 focus:ring-2 focus:ring-blue-500/20"
@@ -382,6 +427,155 @@ export default function Home() {
                 Clear
               </button>
             </div>
+
+            {/* JSX Selection Extraction */}
+            <div className="mt-4 pt-4 border-t border-slate-700">
+              <div className="text-sm text-slate-300 mb-2">Extract selected JSX as a new component</div>
+              <div className="flex gap-3">
+                <input
+                  value={selectionName}
+                  onChange={(e) => setSelectionName(e.target.value)}
+                  placeholder="ComponentName"
+                  className="flex-1 px-3 py-2 bg-slate-900 border border-slate-600 rounded-md text-sm font-mono focus:outline-none focus:border-blue-500"
+                />
+                <button
+                  onClick={addJsxSelection}
+                  className="flex items-center gap-2 px-4 py-2 border border-slate-600 rounded-md bg-slate-800 hover:bg-slate-700 transition-colors"
+                >
+                  <Scissors size={16} />
+                  Use Selection
+                </button>
+              </div>
+              {jsxSelections.length > 0 && (
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {jsxSelections.map(selection => (
+                    <span key={selection.name} className="flex items-center gap-1 px-2 py-1 text-xs bg-blue-500/10 border border-blue-500/30 rounded">
+                      {selection.name} · {selection.start.line}:{selection.start.column}–{selection.end.line}:{selection.end.column}
+                      <button onClick={() => removeJsxSelection(selection.name)} className="hover:text-red-400">
+                        <X size={12} />
+                      </button>
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Output Formatting */}
+            <div className="mt-4 pt-4 border-t border-slate-700">
+              <div className="text-sm text-slate-300 mb-2">Output formatting</div>
+              <select
+                value={formatting.profile}
+                onChange={(e) => setFormatting(prev => ({ ...prev, profile: e.target.value }))}
+                className="w-full px-3 py-2 bg-slate-900 border border-slate-600 rounded-md text-sm focus:outline-none focus:border-blue-500"
+              >
+                <option value="default">Default (single quotes, 2 spaces, ES5 trailing commas)</option>
+                <option value="prettier">Prettier defaults</option>
+                <option value="custom">Custom</option>
+              </select>
+              {formatting.profile === 'custom' && (
+                <div className="mt-3 grid grid-cols-2 gap-3 text-sm">
+                  <select
+                    value={formatting.options.singleQuote ? 'single' : 'double'}
+                    onChange={(e) => updateFormatOption('singleQuote', e.target.value === 'single')}
+                    className="px-3 py-2 bg-slate-900 border border-slate-600 rounded-md focus:outline-none focus:border-blue-500"
+                  >
+                    <option value="single">Single quotes</option>
+                    <option value="double">Double quotes</option>
+                  </select>
+                  <select
+                    value={formatting.options.tabWidth}
+                    onChange={(e) => updateFormatOption('tabWidth', Number(e.target.value))}
+                    className="px-3 py-2 bg-slate-900 border border-slate-600 rounded-md focus:outline-none focus:border-blue-500"
+                  >
+                    <option value={2}>2 spaces</option>
+                    <option value={4}>4 spaces</option>
+                  </select>
+                  <select
+                    value={formatting.options.trailingComma}
+                    onChange={(e) => updateFormatOption('trailingComma', e.target.value)}
+                    className="px-3 py-2 bg-slate-900 border border-slate-600 rounded-md focus:outline-none focus:border-blue-500"
+                  >
+                    <option value="es5">ES5 trailing commas</option>
+                    <option value="all">All trailing commas</option>
+                    <option value="none">No trailing commas</option>
+                  </select>
+                  <label className="flex items-center gap-2 px-3 py-2">
+                    <input
+                      type="checkbox"
+                      checked={formatting.options.semi}
+                      onChange={(e) => updateFormatOption('semi', e.target.checked)}
+                    />
+                    Semicolons
+                  </label>
+                </div>
+              )}
+            </div>
+
+            {/* Extraction Categories */}
+            <div className="mt-4 pt-4 border-t border-slate-700">
+              <div className="text-sm text-slate-300 mb-2">Also extract</div>
+              <div className="flex flex-wrap gap-4 text-sm">
+                {[
+                  ['hooks', 'Custom hooks → hooks/'],
+                  ['contexts', 'Contexts and providers → contexts/'],
+                  ['utils', 'Helper functions → utils/']
+                ].map(([category, label]) => (
+                  <label key={category} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={extract[category]}
+                      onChange={(e) => setExtract(prev => ({ ...prev, [category]: e.target.checked }))}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              <label className="flex items-center gap-2 mt-3 text-sm">
+                <input
+                  type="checkbox"
+                  checked={appRouter}
+                  onChange={(e) => setAppRouter(e.target.checked)}
+                />
+                Next.js App Router: add &apos;use client&apos; where needed
+              </label>
+            </div>
+
+            {/* Component Layout */}
+            <div className="mt-4 pt-4 border-t border-slate-700">
+              <div className="text-sm text-slate-300 mb-2">Component layout</div>
+              <select
+                value={layout.layout}
+                onChange={(e) => setLayout(prev => ({ ...prev, layout: e.target.value }))}
+                className="w-full px-3 py-2 bg-slate-900 border border-slate-600 rounded-md text-sm focus:outline-none focus:border-blue-500"
+              >
+                <option value="flat">Flat (components/Card.jsx)</option>
+                <option value="folder">Folder per component (components/Card/index.jsx)</option>
+              </select>
+              <label className="flex items-center gap-2 mt-3 text-sm">
+                <input
+                  type="checkbox"
+                  checked={layout.barrel}
+                  onChange={(e) => setLayout(prev => ({ ...prev, barrel: e.target.checked }))}
+                />
+                Barrel file: re-export everything from components/index.js
+              </label>
+              <div className="flex flex-wrap gap-4 mt-3 text-sm">
+                {[
+                  ['tests', 'Smoke tests (Name.test.jsx)'],
+                  ['stories', 'Storybook stories (Name.stories.jsx)'],
+                  ['inferProps', 'Inferred propTypes / Props interface']
+                ].map(([scaffold, label]) => (
+                  <label key={scaffold} className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={layout[scaffold]}
+                      onChange={(e) => setLayout(prev => ({ ...prev, [scaffold]: e.target.checked }))}
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
           </div>
 
           {/* Output Panel */}
@@ -423,7 +617,7 @@ export default function Home() {
               {[
                 { id: 'updated-app', label: '📄 Updated Page' },
                 { id: 'components', label: '🧩 Components' },
-                { id: 'structure', label: '🏗️ File Structure' }
+                { id: 'graph', label: '🕸️ Dependency Graph' }
               ].map(tab => (
                 <button
                   key={tab.id}
@@ -486,25 +680,59 @@ export default function Home() {
                       No components extracted yet. Process your Next.js code to see results.
                     </div>
                   )}
+                  {results?.modules?.map((sharedModule) => (
+                    <div key={sharedModule.filePath} className="bg-slate-900 border border-slate-700 rounded-lg overflow-hidden">
+                      <div className="flex items-center justify-between p-3 bg-slate-800/50 border-b border-slate-700">
+                        <span className="text-sm font-medium">{sharedModule.filePath.replace(/^\.\//, '')}</span>
+                        <button
+                          onClick={() => copyToClipboard(sharedModule.code, `module-${sharedModule.filePath}`)}
+                          className="flex items-center gap-1 px-2 py-1 text-xs border border-slate-600 rounded hover:bg-blue-600 hover:border-blue-600 transition-colors"
+                        >
+                          {copiedStates[`module-${sharedModule.filePath}`] ? <Check size={14} /> : <Copy size={14} />}
+                          {copiedStates[`module-${sharedModule.filePath}`] ? 'Copied' : 'Copy'}
+                        </button>
+                      </div>
+                      <div className="p-4 max-h-96 overflow-y-auto">
+                        <pre className="text-sm font-mono text-slate-300 whitespace-pre-wrap">
+                          {sharedModule.code}
+                        </pre>
+                      </div>
+                    </div>
+                  ))}
+                  {results?.warnings?.map((warning) => (
+                    <div key={warning} className="p-3 text-sm text-yellow-400 bg-yellow-500/10 border border-yellow-500/30 rounded-lg">
+                      ⚠️ {warning}
+                    </div>
+                  ))}
                 </div>
               )}
 
-              {activeTab === 'structure' && (
+              {activeTab === 'graph' && (
                 <div className="bg-slate-900 border border-slate-700 rounded-lg overflow-hidden">
                   <div className="flex items-center justify-between p-3 bg-slate-800/50 border-b border-slate-700">
-                    <span className="text-sm font-medium">Next.js Project Structure</span>
-                    <button
-                      onClick={() => copyToClipboard(results ? generateFileStructure(results.components) : '// Next.js file structure will appear here', 'structure')}
-                      className="flex items-center gap-1 px-2 py-1 text-xs border border-slate-600 rounded hover:bg-blue-600 hover:border-blue-600 transition-colors"
-                    >
-                      {copiedStates.structure ? <Check size={14} /> : <Copy size={14} />}
-                      {copiedStates.structure ? 'Copied' : 'Copy'}
-                    </button>
+                    <span className="text-sm font-medium">Component Dependencies</span>
+                    <div className="flex gap-2">
+                      {['json', 'mermaid', 'dot'].map(format => (
+                        <button
+                          key={format}
+                          disabled={!results?.graph}
+                          onClick={() => copyToClipboard(formatGraph(results.graph, format), `graph-${format}`)}
+                          className="flex items-center gap-1 px-2 py-1 text-xs border border-slate-600 rounded hover:bg-blue-600 hover:border-blue-600 transition-colors disabled:opacity-50"
+                        >
+                          {copiedStates[`graph-${format}`] ? <Check size={14} /> : <Copy size={14} />}
+                          {format === 'json' ? 'JSON' : format === 'dot' ? 'DOT' : 'Mermaid'}
+                        </button>
+                      ))}
+                    </div>
                   </div>
-                  <div className="p-4 max-h-96 overflow-y-auto">
-                    <pre className="text-sm font-mono text-slate-300 whitespace-pre-wrap">
-                      {results ? generateFileStructure(results.components) : '// Next.js file structure will appear here'}
-                    </pre>
+                  <div className="p-4">
+                    {results?.graph?.nodes.length > 0 ? (
+                      <DependencyGraph graph={results.graph} />
+                    ) : (
+                      <div className="text-center py-8 text-slate-400">
+                        The component dependency graph will appear here.
+                      </div>
+                    )}
                   </div>
                 </div>
               )}
@@ -522,3 +750,145 @@ export default function Home() {
     </div>
   );
 }
+
+const GRAPH_NODE = { width: 150, height: 40, gapX: 70, gapY: 24, padding: 20 };
+
+const GRAPH_COLORS = {
+  component: '#3b82f6',
+  hook: '#a855f7',
+  context: '#22c55e',
+  util: '#f59e0b'
+};
+
+// Columns by how far each node is from the components nothing else renders
+function layoutGraph(graph) {
+  const depths = new Map();
+  const targets = new Set(graph.edges.map(edge => edge.to));
+  const starts = [
+    ...graph.nodes.filter(node => !targets.has(node.id)),
+    ...graph.nodes
+  ];
+
+  starts.forEach(start => {
+    if (depths.has(start.id)) return;
+    depths.set(start.id, 0);
+    const queue = [start.id];
+    for (let i = 0; i < queue.length; i++) {
+      graph.edges
+        .filter(edge => edge.from === queue[i] && !depths.has(edge.to))
+        .forEach(edge => {
+          depths.set(edge.to, depths.get(queue[i]) + 1);
+          queue.push(edge.to);
+        });
+    }
+  });
+
+  const rows = [];
+  const positions = new Map();
+  graph.nodes.forEach(node => {
+    const depth = depths.get(node.id);
+    rows[depth] = (rows[depth] || 0) + 1;
+    positions.set(node.id, {
+      x: GRAPH_NODE.padding + depth * (GRAPH_NODE.width + GRAPH_NODE.gapX),
+      y: GRAPH_NODE.padding + (rows[depth] - 1) * (GRAPH_NODE.height + GRAPH_NODE.gapY)
+    });
+  });
+
+  return {
+    positions,
+    width: GRAPH_NODE.padding * 2 + rows.length * (GRAPH_NODE.width + GRAPH_NODE.gapX) - GRAPH_NODE.gapX,
+    height: GRAPH_NODE.padding * 2 + Math.max(...rows.map(count => count || 0)) * (GRAPH_NODE.height + GRAPH_NODE.gapY) - GRAPH_NODE.gapY
+  };
+}
+
+function DependencyGraph({ graph }) {
+  const [selected, setSelected] = useState(null);
+  const { positions, width, height } = layoutGraph(graph);
+  const node = graph.nodes.find(candidate => candidate.id === selected);
+  const touches = edge => !selected || edge.from === selected || edge.to === selected;
+
+  return (
+    <div className="space-y-4">
+      <div className="overflow-auto max-h-96 bg-slate-950 rounded-md">
+        <svg width={width} height={height} className="text-xs">
+          <defs>
+            <marker id="graph-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill="#94a3b8" />
+            </marker>
+          </defs>
+          {graph.edges.map(edge => {
+            const from = positions.get(edge.from);
+            const to = positions.get(edge.to);
+            const [x1, y1] = [from.x + GRAPH_NODE.width, from.y + GRAPH_NODE.height / 2];
+            const [x2, y2] = [to.x, to.y + GRAPH_NODE.height / 2];
+            return (
+              <g key={`${edge.from}-${edge.to}-${edge.type}`} opacity={touches(edge) ? 1 : 0.15}>
+                <path
+                  d={`M ${x1} ${y1} C ${x1 + 40} ${y1}, ${x2 - 40} ${y2}, ${x2} ${y2}`}
+                  fill="none"
+                  stroke="#94a3b8"
+                  strokeDasharray={edge.type === 'renders' ? undefined : '4 3'}
+                  markerEnd="url(#graph-arrow)"
+                >
+                  <title>{`${edge.from} ${edge.type} ${edge.to}${edge.props.length > 0 ? ` (${edge.props.join(', ')})` : ''}`}</title>
+                </path>
+              </g>
+            );
+          })}
+          {graph.nodes.map(graphNode => {
+            const { x, y } = positions.get(graphNode.id);
+            const active = !selected || selected === graphNode.id ||
+              graph.edges.some(edge => touches(edge) && (edge.from === graphNode.id || edge.to === graphNode.id));
+            return (
+              <g
+                key={graphNode.id}
+                onClick={() => setSelected(selected === graphNode.id ? null : graphNode.id)}
+                opacity={active ? 1 : 0.3}
+                className="cursor-pointer"
+              >
+                <rect
+                  x={x}
+                  y={y}
+                  width={GRAPH_NODE.width}
+                  height={GRAPH_NODE.height}
+                  rx={graphNode.kind === 'component' ? 6 : 20}
+                  fill="#0f172a"
+                  stroke={GRAPH_COLORS[graphNode.kind] || GRAPH_COLORS.component}
+                  strokeWidth={graphNode.extracted ? 1.5 : 3}
+                />
+                <text x={x + GRAPH_NODE.width / 2} y={y + GRAPH_NODE.height / 2 + 4} textAnchor="middle" fill="#e2e8f0">
+                  {graphNode.id}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+
+      <div className="flex flex-wrap gap-4 text-xs text-slate-400">
+        {Object.entries(GRAPH_COLORS).map(([kind, color]) => (
+          <span key={kind} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-sm border-2" style={{ borderColor: color }} />
+            {kind}
+          </span>
+        ))}
+        <span>Bold: stays in the page · Solid: renders · Dashed: uses</span>
+      </div>
+
+      {node ? (
+        <div className="p-3 text-sm bg-slate-800/50 border border-slate-700 rounded-lg space-y-1">
+          <div className="font-medium">{node.id} <span className="text-slate-400">({node.kind}, {node.file.replace(/^\.\//, '')})</span></div>
+          {node.hooks.length > 0 && <div className="text-slate-300">Hooks: {node.hooks.join(', ')}</div>}
+          {node.imports.length > 0 && <div className="text-slate-300">Imports: {node.imports.join(', ')}</div>}
+          {graph.edges.filter(edge => touches(edge)).map(edge => (
+            <div key={`${edge.from}-${edge.to}-${edge.type}`} className="text-slate-300">
+              {edge.from} {edge.type} {edge.to}{edge.props.length > 0 && <span className="text-slate-400"> with {edge.props.join(', ')}</span>}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-xs text-slate-400">Click a component to see its hooks, imports and props.</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ReactModularizer = require('../lib/modularizer.js');
+const { normalizeConfig } = require('../lib/config.js');
+
+const PROFILE = `import React, { useState } from 'react';
+
+function Header() {
+  return <h1>Site</h1>;
+}
+
+export default function Profile({ user, posts }) {
+  const [tab, setTab] = useState('posts');
+  const [open, setOpen] = useState(false);
+  const Badge = () => <b>{user.role}</b>;
+  return (
+    <div>
+      <header>
+        <h2>{user.name}</h2>
+        <button onClick={() => setOpen(!open)}>Menu</button>
+      </header>
+      <section>
+        <h3>About</h3>
+        <p>{user.bio}</p>
+      </section>
+      <section>
+        <h3>Posts</h3>
+        {tab === 'posts' && posts.length > 0 ? <p>{posts.length}</p> : null}
+      </section>
+      <Header />
+      <Badge />
+    </div>
+  );
+}
+`;
+
+function analyze(code, analyzeConfig) {
+  const modularizer = new ReactModularizer({ verbose: false, config: normalizeConfig({ analyze: analyzeConfig }, '.') });
+  return modularizer.analyze(code);
+}
+
+test('every component is measured and flagged where it goes over a threshold', async () => {
+  const report = await analyze(PROFILE, { maxHooks: 1 });
+  const [header, profile] = report.components;
+
+  assert.deepStrictEqual([header.name, header.app, header.line, header.flags], ['Header', false, 3, []]);
+  assert.deepStrictEqual(
+    [profile.name, profile.app, profile.hooks, profile.stateVariables, profile.props, profile.complexity],
+    ['Profile', true, 2, 2, 2, 3]
+  );
+  assert.deepStrictEqual(profile.flags, [{ metric: 'hooks', value: 2, max: 1 }]);
+  assert.strictEqual(report.thresholds.maxHooks, 1);
+});
+
+test('regions and nested components are suggested under names that are still free', async () => {
+  const report = await analyze(PROFILE, { minSuggestionLines: 3 });
+  const profile = report.components.find(component => component.name === 'Profile');
+
+  assert.deepStrictEqual(profile.suggestions.map(suggestion => [suggestion.type, suggestion.name, suggestion.start.line]), [
+    ['nested-component', 'Badge', 10],
+    // Header is taken, so the <header> region is ProfileHeader
+    ['jsx', 'ProfileHeader', 13],
+    ['jsx', 'ProfileSection', 17],
+    ['jsx', 'ProfileSection2', 21]
+  ]);
+  assert.strictEqual(profile.suggestions[2].reason, '4 lines of <section> could become <ProfileSection />');
+});
+
+test('nothing is suggested below minSuggestionLines', async () => {
+  const report = await analyze(PROFILE, { minSuggestionLines: 20 });
+
+  assert.deepStrictEqual(report.components[1].suggestions.map(suggestion => suggestion.type), ['nested-component']);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('../lib/modularize.js');
+const { tempDir, writeFiles, runCli } = require('./helpers.js');
+
+const page = (name, child) => `function ${child}({ title }) {
+  return <div>{title}</div>;
+}
+
+export default function ${name}() {
+  return <${child} title="${name}" />;
+}
+`;
+
+function site() {
+  const dir = tempDir();
+  writeFiles(dir, {
+    'site/pages/about.jsx': page('About', 'Card'),
+    'site/pages/api/hello.js': 'export default function handler(req, res) {\n  res.json({});\n}\n',
+    'site/src/Home.jsx': page('Home', 'Row'),
+    'site/src/Home.test.jsx': page('HomeTest', 'Probe'),
+    'site/scripts/Tool.jsx': page('Tool', 'Widget')
+  });
+  return dir;
+}
+
+test('options are parsed with their values, and unknown ones are rejected', () => {
+  assert.deepStrictEqual(parseArgs(['App.jsx', '-o', 'src/components', '--layout=folder', '--per-file']), {
+    positionals: ['App.jsx'],
+    options: { outDir: 'src/components', layout: 'folder', perFile: true }
+  });
+  assert.throws(() => parseArgs(['--nope']), /Unknown option: --nope/);
+  assert.throws(() => parseArgs(['--per-file=yes']), /--per-file does not take a value/);
+  assert.throws(() => parseArgs(['--out-dir']), /--out-dir needs a value/);
+});
+
+test('a directory is searched like a project root', () => {
+  const dir = site();
+  const { status, stdout } = runCli(dir, ['site', '--dry-run', '--json']);
+  const report = JSON.parse(stdout);
+
+  assert.strictEqual(status, 0);
+  assert.deepStrictEqual(report.files.map(entry => [entry.file, entry.components]), [
+    ['pages/about.jsx', ['Card']],
+    ['src/Home.jsx', ['Row']]
+  ]);
+  assert.deepStrictEqual(report.changes.map(change => change.path).sort(), [
+    'site/components/Card.jsx', 'site/components/Row.jsx', 'site/pages/about.jsx', 'site/src/Home.jsx'
+  ]);
+});
+
+test('run from outside the project, a directory keeps its config, output and history inside it', () => {
+  const dir = site();
+  writeFiles(dir, { 'site/modularizer.config.js': "module.exports = { output: { dir: 'ui' } };\n" });
+
+  assert.strictEqual(runCli(dir, ['site', '-q']).status, 0);
+  assert.ok(fs.existsSync(path.join(dir, 'site/ui/Card.jsx')));
+  assert.ok(fs.existsSync(path.join(dir, 'site/.modularizer/history')));
+  assert.ok(!fs.existsSync(path.join(dir, 'components')));
+  assert.ok(!fs.existsSync(path.join(dir, 'ui')));
+  assert.ok(!fs.existsSync(path.join(dir, '.modularizer')));
+  assert.match(fs.readFileSync(path.join(dir, 'site/pages/about.jsx'), 'utf8'), /import Card from '\.\.\/ui\/Card';/);
+
+  assert.strictEqual(runCli(path.join(dir, 'site'), ['undo', '-q']).status, 0);
+  assert.ok(!fs.existsSync(path.join(dir, 'site/ui')));
+  assert.strictEqual(fs.readFileSync(path.join(dir, 'site/pages/about.jsx'), 'utf8'), page('About', 'Card'));
+});
+
+test('a directory with nothing to search is a usage error', () => {
+  const dir = site();
+  const { status, stderr } = runCli(dir, ['site/scripts']);
+
+  assert.strictEqual(status, 2);
+  assert.match(stderr, /No files in site\/scripts under pages\/, app\/ or src\/ \(use a glob like site\/scripts\/\*\*\/\*\.jsx\)/);
+});
+
+test('--per-file gives every file a components folder of its own', () => {
+  const dir = site();
+
+  assert.strictEqual(runCli(dir, ['site', '--per-file', '-q']).status, 0);
+  assert.ok(fs.existsSync(path.join(dir, 'site/components/pages/about/Card.jsx')));
+  assert.ok(fs.existsSync(path.join(dir, 'site/components/src/Home/Row.jsx')));
+  assert.match(fs.readFileSync(path.join(dir, 'site/src/Home.jsx'), 'utf8'), /import Row from '\.\.\/components\/src\/Home\/Row';/);
+});
+
+test('--per-file applies to a single file too', () => {
+  const dir = site();
+  const { stdout } = runCli(dir, ['site/pages/about.jsx', '--per-file', '--dry-run', '--json']);
+
+  assert.deepStrictEqual(JSON.parse(stdout).changes.map(change => change.path).sort(), [
+    'components/site/pages/about/Card.jsx', 'site/pages/about.jsx'
+  ]);
+});
+
+// Every file under dir with its contents
+function snapshot(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? snapshot(fullPath) : [[fullPath, fs.readFileSync(fullPath, 'utf8')]];
+  });
+}
+
+test('--dry-run writes nothing, not even the run history', () => {
+  const dir = site();
+  const before = snapshot(dir);
+
+  assert.strictEqual(runCli(dir, ['site', '--dry-run', '-q']).status, 0);
+  assert.strictEqual(runCli(dir, ['site/pages/about.jsx', '--dry-run', '-q']).status, 0);
+  assert.deepStrictEqual(snapshot(dir), before);
+});
+
+test('--check exits with 1 while anything would change, and 0 once nothing would', () => {
+  const dir = site();
+  const before = snapshot(dir);
+
+  assert.strictEqual(runCli(dir, ['site', '--check', '-q']).status, 1);
+  assert.strictEqual(runCli(dir, ['site/pages/about.jsx', '--check', '-q']).status, 1);
+  assert.deepStrictEqual(snapshot(dir), before);
+
+  assert.strictEqual(runCli(dir, ['site', '-q']).status, 0);
+  assert.strictEqual(runCli(dir, ['site', '--check', '-q']).status, 0);
+  assert.strictEqual(runCli(dir, ['site/pages/about.jsx', '--check', '-q']).status, 0);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { modularize } = require('./helpers.js');
+
+const PAGE = `import { useState } from 'react';
+
+function Counter() {
+  const [count, setCount] = useState(0);
+  return <b onClick={() => setCount(count + 1)}>{count}</b>;
+}
+
+function Title({ text }) {
+  return <h1>{text}</h1>;
+}
+
+function Share() {
+  return <a href={window.location.href}>Share</a>;
+}
+
+export default function Page() {
+  return <main><Title text="x" /><Counter /><Share /></main>;
+}
+`;
+
+// Which components got 'use client', and whether it is their first line
+async function directivesOf(appFilePath, clientDirective, code = PAGE) {
+  const config = clientDirective === undefined ? {} : { output: { clientDirective } };
+  const result = await modularize(code, { appFilePath, config });
+  return Object.fromEntries(result.components.map(component => {
+    assert.strictEqual(component.client, component.code.startsWith("'use client';\n\n"));
+    return [component.name, component.client];
+  }));
+}
+
+test("auto adds 'use client' under app/ only to the files that need it", async () => {
+  assert.deepStrictEqual(await directivesOf('app/page.jsx'), { Counter: true, Title: false, Share: true });
+  assert.deepStrictEqual(await directivesOf('src/app/blog/page.jsx'), { Counter: true, Title: false, Share: true });
+});
+
+test('auto leaves files outside app/ alone unless they have a directive of their own', async () => {
+  assert.deepStrictEqual(await directivesOf('pages/index.jsx'), { Counter: false, Title: false, Share: false });
+  assert.deepStrictEqual(
+    await directivesOf('src/Page.jsx', undefined, `'use client';\n\n${PAGE}`),
+    { Counter: true, Title: false, Share: true }
+  );
+});
+
+test('true and false override where the file is', async () => {
+  assert.deepStrictEqual(await directivesOf('pages/index.jsx', true), { Counter: true, Title: false, Share: true });
+  assert.deepStrictEqual(await directivesOf('app/page.jsx', false), { Counter: false, Title: false, Share: false });
+});
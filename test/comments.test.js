@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { modularize, componentCode } = require('./helpers.js');
+
+const APP = `import React from 'react';
+
+/**
+ * A user's avatar.
+ * @param {{ url: string }} props
+ */
+function Avatar({ url }) {
+  // Lazy, since lists can be long
+  return <img src={url} loading="lazy" />;
+}
+
+// The page itself
+function App() {
+  return (
+    <main>
+      {/* Signed-in user */}
+      <Avatar url="/me.png" />
+    </main>
+  );
+}
+
+export default App;
+`;
+
+test('JSDoc and inline comments move with the component', async () => {
+  const result = await modularize(APP);
+  const avatar = componentCode(result, 'Avatar');
+
+  assert.match(avatar, /\/\*\*\n \* A user's avatar\.\n \* @param \{\{ url: string \}\} props\n \*\/\nexport default function Avatar/);
+  assert.match(avatar, /\/\/ Lazy, since lists can be long/);
+});
+
+test("App keeps its own comments and everything else it didn't need to change", async () => {
+  const { updatedApp } = await modularize(APP);
+
+  assert.match(updatedApp, /\/\/ The page itself\nfunction App\(\) \{/);
+  assert.match(updatedApp, /\{\/\* Signed-in user \*\/\}/);
+  assert.doesNotMatch(updatedApp, /A user's avatar|Lazy/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadConfig, normalizeConfig, isComponentIncluded, outputDirFor } = require('../lib/config.js');
+const { tempDir, writeFiles, runCli } = require('./helpers.js');
+
+const APP = `function Card({ title }) {
+  return <div>{title}</div>;
+}
+
+function ListPage() {
+  return <Card title="list" />;
+}
+
+export default function App() {
+  return <ListPage />;
+}
+`;
+
+const packageWith = config => JSON.stringify({ name: 'site', modularizer: config });
+
+test('modularizer.config.js wins over the "modularizer" key in package.json', () => {
+  const dir = tempDir();
+  writeFiles(dir, { 'package.json': packageWith({ output: { dir: 'from-package' } }) });
+  assert.strictEqual(loadConfig(dir).output.dir, 'from-package');
+
+  writeFiles(dir, { 'modularizer.config.js': "module.exports = { output: { dir: 'from-file' } };\n" });
+  assert.strictEqual(loadConfig(dir).output.dir, 'from-file');
+
+  assert.strictEqual(loadConfig(tempDir()).output.dir, 'components');
+});
+
+test('"/regex/" strings from JSON match like regexes, and other strings like globs', () => {
+  const dir = tempDir();
+  writeFiles(dir, { 'package.json': packageWith({ components: { exclude: ['/page$/i', 'Ca*'] } }) });
+  const config = loadConfig(dir);
+
+  assert.deepStrictEqual(config.components.exclude, [/page$/i, 'Ca*']);
+  assert.strictEqual(isComponentIncluded(config, 'ListPage'), false);
+  assert.strictEqual(isComponentIncluded(config, 'Card'), false);
+  assert.strictEqual(isComponentIncluded(config, 'Header'), true);
+});
+
+test('the most specific output.dirs folder wins', () => {
+  const config = normalizeConfig({
+    output: { dirs: { src: 'src/components', 'src/pages/': 'src/page-components', './app': 'app/_components' } }
+  }, '/site');
+
+  assert.strictEqual(outputDirFor(config, '/site/src/pages/blog/Post.jsx'), path.normalize('/site/src/page-components'));
+  assert.strictEqual(outputDirFor(config, '/site/src/App.jsx'), path.normalize('/site/src/components'));
+  assert.strictEqual(outputDirFor(config, '/site/app/page.jsx'), path.normalize('/site/app/_components'));
+  assert.strictEqual(outputDirFor(config, '/site/srcs/App.jsx'), path.normalize('/site/components'));
+});
+
+test('command line options win over the config', () => {
+  const dir = tempDir();
+  writeFiles(dir, {
+    'App.jsx': APP,
+    'modularizer.config.js': "module.exports = { components: { exclude: ['App'] }, output: { dir: 'ui', layout: 'folder' } };\n"
+  });
+  const changesOf = args => JSON.parse(runCli(dir, ['App.jsx', '--dry-run', '--json', ...args]).stdout).changes.map(change => change.path).sort();
+
+  assert.deepStrictEqual(changesOf([]), ['App.jsx', 'ui/Card/index.jsx', 'ui/ListPage/index.jsx']);
+  assert.deepStrictEqual(changesOf(['--layout', 'flat', '-o', 'parts']), ['App.jsx', 'parts/Card.jsx', 'parts/ListPage.jsx']);
+  assert.deepStrictEqual(changesOf(['--only', 'Card']), ['App.jsx', 'ui/Card/index.jsx']);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProjectModularizer = require('../lib/project.js');
+const { normalizeConfig } = require('../lib/config.js');
+const { modularize, tempDir, writeFiles } = require('./helpers.js');
+
+const APP = `import React from 'react';
+
+function Card({ title }) {
+  return <div>{title}</div>;
+}
+
+function Badge() {
+  return <b>new</b>;
+}
+
+export default function App() {
+  return <Card title="x"><Badge /></Card>;
+}
+`;
+
+// A different Card is already there
+const EXISTING = { 'components/Card.jsx': 'export default function Card() {\n  return null;\n}\n' };
+
+function withConflict(onConflict) {
+  return modularize(APP, { existingFiles: EXISTING, config: { output: { onConflict } } });
+}
+
+test('fail stops before anything is written', async () => {
+  await assert.rejects(withConflict('fail'), error => {
+    assert.match(error.message, /Target files already exist: components\/Card\.jsx/);
+    assert.deepStrictEqual(error.conflicts, [{ component: 'Card', filePath: 'components/Card.jsx', resolution: 'failed' }]);
+    return true;
+  });
+});
+
+test('skip leaves the component in App and says why', async () => {
+  const result = await withConflict('skip');
+
+  assert.deepStrictEqual(result.components.map(component => component.name), ['Badge']);
+  assert.deepStrictEqual(result.conflicts, [{ component: 'Card', filePath: 'components/Card.jsx', resolution: 'skipped' }]);
+  assert.match(result.updatedApp, /function Card\(\{ title \}\)/);
+
+  const card = result.detections.find(detection => detection.name === 'Card');
+  assert.strictEqual(card.extracted, false);
+  assert.strictEqual(card.reasons[card.reasons.length - 1], 'skipped: target file already exists');
+});
+
+test('rename writes next to the existing file, and overwrite replaces it', async () => {
+  const renamed = await withConflict('rename');
+  assert.strictEqual(renamed.components.find(component => component.name === 'Card').filename, 'AppCard.jsx');
+  assert.match(renamed.updatedApp, /import Card from '\.\/components\/AppCard';/);
+
+  const overwritten = await withConflict('overwrite');
+  assert.strictEqual(overwritten.conflicts[0].resolution, 'overwritten');
+  assert.match(overwritten.updatedApp, /import Card from '\.\/components\/Card';/);
+});
+
+test('the same code already in place is reused', async () => {
+  const first = await modularize(APP);
+  const card = first.components.find(component => component.name === 'Card');
+  const result = await modularize(APP, { existingFiles: { 'components/Card.jsx': card.code } });
+
+  assert.deepStrictEqual(result.conflicts, [{ component: 'Card', filePath: 'components/Card.jsx', resolution: 'reused' }]);
+});
+
+test('a name another file of the project already extracts is skipped with that reason', async () => {
+  const dir = tempDir();
+  writeFiles(dir, {
+    'pages/a.jsx': APP,
+    'pages/b.jsx': APP.replace('<div>{title}</div>', '<h2>{title}</h2>')
+  });
+
+  const report = await new ProjectModularizer({ rootDir: dir, config: normalizeConfig({}, dir), dryRun: true, verbose: false }).run();
+  const b = report.files.find(entry => entry.file === 'pages/b.jsx');
+
+  assert.deepStrictEqual(b.components, ['Badge']);
+  assert.deepStrictEqual(report.skipped, [
+    { file: 'pages/b.jsx', component: 'Card', reason: 'Card.jsx is already extracted from pages/a.jsx' }
+  ]);
+  const card = b.detections.find(detection => detection.name === 'Card');
+  assert.strictEqual(card.reasons[card.reasons.length - 1], 'skipped: another file already extracts a component of this name');
+});
+
+test('hooks, contexts and utils another file already extracts are skipped the same way', async () => {
+  const dir = tempDir();
+  const page = body => `import { useState, useEffect } from 'react';
+
+function useFetch(url) {
+  const [data, setData] = useState(null);
+  useEffect(() => {
+    fetch(url).then(response => response.${body}()).then(setData);
+  }, [url]);
+  return data;
+}
+
+export default function Page() {
+  const data = useFetch('/api');
+  return <div>{String(data)}</div>;
+}
+`;
+  writeFiles(dir, { 'pages/a.jsx': page('json'), 'pages/b.jsx': page('text') });
+
+  const report = await new ProjectModularizer({ rootDir: dir, config: normalizeConfig({}, dir), dryRun: true, verbose: false }).run();
+  const hook = report.changes.filter(change => change.filePath.endsWith('useFetch.js'));
+
+  assert.deepStrictEqual(report.skipped.filter(skipped => skipped.component), [
+    { file: 'pages/b.jsx', component: 'useFetch', reason: 'useFetch.js is already extracted from pages/a.jsx' }
+  ]);
+  assert.strictEqual(hook.length, 1);
+  assert.match(hook[0].after, /response\.json\(\)/);
+});
+
+test('two different contents for one path are an error, not last-wins', () => {
+  const project = new ProjectModularizer({ rootDir: '.', config: normalizeConfig({}, '.'), verbose: false });
+  const change = after => ({ filePath: 'hooks/useFetch.js', after });
+
+  assert.strictEqual(project.dedupeChanges([change('a'), change('a')]).length, 1);
+  assert.throws(
+    () => project.dedupeChanges([change('a'), change('b')]),
+    /hooks\/useFetch\.js would be written twice with different contents/
+  );
+});
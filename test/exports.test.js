@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { modularize, componentCode } = require('./helpers.js');
+
+const WRAPPED = `import React, { memo, lazy } from 'react';
+
+const Card = memo(function Card({ title }) {
+  return <div>{title}</div>;
+});
+
+const Input = React.forwardRef((props, ref) => <input ref={ref} {...props} />);
+Input.displayName = 'Input';
+
+const Settings = lazy(() => import('./pages/Settings'));
+
+export default function App() {
+  return <div><Card title="a" /><Input /><Settings /></div>;
+}
+`;
+
+const EXPORTED = `import React, { memo } from 'react';
+
+export const Card = memo(({ title }) => <div>{title}</div>), size = 12;
+
+function Tile({ label }) {
+  return <span>{label}</span>;
+}
+
+export { Tile as Square };
+
+export default function App() {
+  return <div><Card title="a" /><Tile label={size} /></div>;
+}
+`;
+
+test('memo, forwardRef and lazy components move with their wrapper', async () => {
+  const result = await modularize(WRAPPED);
+
+  assert.deepStrictEqual(result.components.map(component => component.name), ['Card', 'Input', 'Settings']);
+  assert.match(componentCode(result, 'Card'), /^import React, \{ memo \} from 'react';\n\nconst Card = memo\(function Card/);
+  assert.match(componentCode(result, 'Input'), /const Input = React\.forwardRef\([\s\S]*\);\nInput\.displayName = 'Input';\n\nexport default Input;/);
+  assert.match(componentCode(result, 'Settings'), /^import \{ lazy \} from 'react';\n\nconst Settings = lazy\(\(\) => import\('\.\.\/pages\/Settings'\)\);/);
+
+  assert.match(result.updatedApp, /^import React from 'react';\nimport Card from '\.\/components\/Card';\nimport Input from '\.\/components\/Input';\nimport Settings from '\.\/components\/Settings';/);
+  assert.doesNotMatch(result.updatedApp, /memo|lazy|forwardRef|displayName/);
+});
+
+test('exported components are re-exported, and export { X as Y } keeps pointing at them', async () => {
+  const result = await modularize(EXPORTED);
+
+  assert.deepStrictEqual(result.components.map(component => component.name), ['Card', 'Tile']);
+  assert.match(componentCode(result, 'Card'), /^const Card = memo\(\(\{ title \}\) => <div>\{title\}<\/div>\);$/m);
+  assert.match(result.updatedApp, /^import Tile from '\.\/components\/Tile';\nexport \{ default as Card \} from '\.\/components\/Card';$/m);
+  assert.match(result.updatedApp, /^export const size = 12;$/m);
+  assert.match(result.updatedApp, /^export \{ Tile as Square \};$/m);
+});
+
+test('with named exports the re-export is named too', async () => {
+  const result = await modularize(EXPORTED, { config: { output: { exportStyle: 'named' } } });
+
+  assert.match(componentCode(result, 'Card'), /^export const Card = memo\(/m);
+  assert.match(result.updatedApp, /^import \{ Card \} from '\.\/components\/Card';\nimport \{ Tile \} from '\.\/components\/Tile';\nexport \{ Card \} from '\.\/components\/Card';$/m);
+  assert.match(result.updatedApp, /^export \{ Tile as Square \};$/m);
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const ProjectModularizer = require('../lib/project.js');
+const { normalizeConfig } = require('../lib/config.js');
+const { modularize, tempDir, writeFiles, runCli } = require('./helpers.js');
+
+const HOOK_ONLY = `import { useState, useEffect } from 'react';
+
+function useFetch(url) {
+  const [data, setData] = useState(null);
+  useEffect(() => {
+    fetch(url).then(response => response.json()).then(setData);
+  }, [url]);
+  return data;
+}
+
+export default function Page() {
+  const data = useFetch('/api');
+  return <pre>{JSON.stringify(data)}</pre>;
+}
+`;
+
+test('hooks, contexts and utilities get folders of their own', async () => {
+  const result = await modularize(`import React, { createContext, useContext } from 'react';
+
+const ThemeContext = createContext('light');
+
+function formatName(user) {
+  return user.first + ' ' + user.last;
+}
+
+function useTheme() {
+  return useContext(ThemeContext);
+}
+
+export default function App({ user }) {
+  const theme = useTheme();
+  return <p className={theme}>{formatName(user)}</p>;
+}
+`, { config: { extract: { utils: true } } });
+
+  const files = result.modules.map(extracted => `${extracted.kind}:${path.normalize(extracted.filePath)}`);
+  assert.deepStrictEqual(files.sort(), [
+    `context:${path.normalize('contexts/ThemeContext.js')}`,
+    `hook:${path.normalize('hooks/useTheme.js')}`,
+    `util:${path.normalize('utils/formatName.js')}`
+  ]);
+  assert.match(result.updatedApp, /import useTheme from '\.\/hooks\/useTheme';/);
+  assert.match(result.updatedApp, /import formatName from '\.\/utils\/formatName';/);
+  assert.doesNotMatch(result.updatedApp, /createContext|function formatName/);
+});
+
+test('a file with only a hook to extract is not "already modular"', () => {
+  const dir = tempDir();
+  writeFiles(dir, { 'Page.jsx': HOOK_ONLY });
+
+  assert.strictEqual(runCli(dir, ['Page.jsx', '--check', '-q']).status, 1);
+  assert.strictEqual(runCli(dir, ['Page.jsx', '-q']).status, 0);
+  assert.ok(fs.existsSync(path.join(dir, 'hooks', 'useFetch.js')));
+  assert.doesNotMatch(fs.readFileSync(path.join(dir, 'Page.jsx'), 'utf8'), /function useFetch/);
+});
+
+test('project mode extracts from files that only have hooks', async () => {
+  const dir = tempDir();
+  writeFiles(dir, {
+    'pages/a.jsx': HOOK_ONLY,
+    'pages/b.jsx': HOOK_ONLY.replace(/useFetch/g, 'useLoad')
+  });
+
+  const report = await new ProjectModularizer({
+    rootDir: dir,
+    config: normalizeConfig({}, dir),
+    dryRun: true,
+    verbose: false
+  }).run();
+
+  assert.deepStrictEqual(report.skipped, []);
+  assert.deepStrictEqual(report.files.map(entry => entry.modules), [['hooks/useFetch.js'], ['hooks/useLoad.js']]);
+  assert.deepStrictEqual(
+    report.changes.map(change => path.relative(dir, change.filePath).split(path.sep).join('/')).sort(),
+    ['hooks/useFetch.js', 'hooks/useLoad.js', 'pages/a.jsx', 'pages/b.jsx']
+  );
+});
+
+test('--only leaves other hooks and contexts where they are', () => {
+  const dir = tempDir();
+  writeFiles(dir, { 'App.jsx': `import React, { createContext, useContext } from 'react';
+
+const ThemeContext = createContext('light');
+
+function useTheme() {
+  return useContext(ThemeContext);
+}
+
+function ThemeProvider({ children }) {
+  return <ThemeContext.Provider value="dark">{children}</ThemeContext.Provider>;
+}
+
+function Header() {
+  return <h1>Title</h1>;
+}
+
+export default function App() {
+  const theme = useTheme();
+  return <ThemeProvider><Header />{theme}</ThemeProvider>;
+}
+` });
+
+  assert.strictEqual(runCli(dir, ['App.jsx', '--only', 'Header', '-q']).status, 0);
+
+  const app = fs.readFileSync(path.join(dir, 'App.jsx'), 'utf8');
+  assert.ok(fs.existsSync(path.join(dir, 'components', 'Header.jsx')));
+  assert.ok(!fs.existsSync(path.join(dir, 'hooks')));
+  assert.ok(!fs.existsSync(path.join(dir, 'contexts')));
+  assert.match(app, /const ThemeContext = createContext\('light'\);/);
+  assert.match(app, /function useTheme\(\)/);
+  assert.match(app, /function ThemeProvider\(/);
+});
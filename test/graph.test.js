@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProjectModularizer = require('../lib/project.js');
+const { normalizeConfig } = require('../lib/config.js');
+const { formatGraph, mergeGraphs } = require('../lib/graph.js');
+const { modularize, tempDir, writeFiles } = require('./helpers.js');
+
+const APP = `import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+
+function Rating({ value }) {
+  const [hover, setHover] = useState(false);
+  return <Star onMouseEnter={() => setHover(true)} data-value={value} />;
+}
+
+function Card({ title, children }) {
+  return <section><h2>{title}</h2>{children}</section>;
+}
+
+export default function App() {
+  return (
+    <Card title="Reviews">
+      <Rating value={3} />
+    </Card>
+  );
+}
+`;
+
+test('the graph has what each component renders and uses', async () => {
+  const { graph } = await modularize(APP);
+
+  assert.deepStrictEqual(graph.nodes.map(node => [node.id, node.extracted, node.file]), [
+    ['Rating', true, 'components/Rating.jsx'],
+    ['Card', true, 'components/Card.jsx'],
+    ['App', false, './App.jsx']
+  ]);
+  assert.deepStrictEqual(graph.nodes.find(node => node.id === 'Rating').hooks, ['useState']);
+  assert.deepStrictEqual(graph.nodes.find(node => node.id === 'Rating').imports, ['react', 'lucide-react']);
+  assert.deepStrictEqual(graph.edges, [
+    { from: 'App', to: 'Card', type: 'renders', props: ['title', 'children'] },
+    { from: 'App', to: 'Rating', type: 'renders', props: ['value'] }
+  ]);
+});
+
+test('Mermaid and DOT draw the same graph', async () => {
+  const { graph } = await modularize(APP);
+
+  assert.strictEqual(formatGraph(graph, 'mermaid'), [
+    'graph TD',
+    '  Rating["Rating"]',
+    '  Card["Card"]',
+    '  App["App"]',
+    '  App -->|"title, children"| Card',
+    '  App -->|"value"| Rating',
+    '  classDef source stroke-width:3px;',
+    '  class App source;'
+  ].join('\n'));
+  assert.match(formatGraph(graph, 'dot'), /"App" \[shape=box, style=bold\];\n[\s\S]*"App" -> "Card" \[label="title, children"\];/);
+  assert.throws(() => formatGraph(graph, 'svg'), /Unknown graph format: svg/);
+});
+
+test('merging keeps components from different files apart', () => {
+  const page = (file, nodes, edges) => ({
+    nodes: nodes.map(([id, extracted, nodeFile]) => ({ id, kind: 'component', extracted, file: nodeFile || file, hooks: [], imports: [] })),
+    edges: edges.map(([from, to, props]) => ({ from, to, type: 'renders', props }))
+  });
+
+  const merged = mergeGraphs([
+    page('pages/a.jsx', [['Card', true, 'components/Card.jsx'], ['Home', false]], [['Home', 'Card', ['title']]]),
+    page('./pages/b.jsx', [['Card', false], ['Home', false]], [['Home', 'Card', ['label']]]),
+    page('pages/c.jsx', [['Card', true, 'components/Card.jsx'], ['Page', false]], [['Page', 'Card', ['body']]])
+  ]);
+
+  assert.deepStrictEqual(merged.nodes.map(node => node.id), [
+    'Card', 'pages/a.jsx#Home', 'pages/b.jsx#Card', 'pages/b.jsx#Home', 'pages/c.jsx#Page'
+  ]);
+  assert.deepStrictEqual(merged.edges.map(edge => `${edge.from} -> ${edge.to} (${edge.props})`), [
+    'pages/a.jsx#Home -> Card (title)',
+    'pages/b.jsx#Home -> pages/b.jsx#Card (label)',
+    'pages/c.jsx#Page -> Card (body)'
+  ]);
+});
+
+test('components of the same name extracted to different files stay apart', () => {
+  const extracted = file => ({
+    nodes: [{ id: 'Card', kind: 'component', extracted: true, file, hooks: [], imports: [] }],
+    edges: []
+  });
+
+  const merged = mergeGraphs([extracted('components/a/Card.jsx'), extracted('components/b/Card.jsx')]);
+
+  assert.deepStrictEqual(merged.nodes.map(node => node.id), ['components/a/Card.jsx#Card', 'components/b/Card.jsx#Card']);
+  assert.match(formatGraph(merged, 'mermaid'), /components_a_Card_jsx_Card\["components\/a\/Card\.jsx#Card"\]/);
+});
+
+test('project mode merges the graphs of every file', async () => {
+  const dir = tempDir();
+  const card = tag => `function Card({ title }) {\n  return <${tag}>{title}</${tag}>;\n}\n`;
+  writeFiles(dir, {
+    'pages/a.jsx': `${card('div')}\nexport default function Home() {\n  return <Card title="a" />;\n}\n`,
+    // A different Card, so it stays in b.jsx while Shell is extracted
+    'pages/b.jsx': `${card('h2')}\nfunction Shell({ title }) {\n  return <Card title={title} />;\n}\n\nexport default function Home() {\n  return <Shell title="b" />;\n}\n`
+  });
+
+  const report = await new ProjectModularizer({ rootDir: dir, config: normalizeConfig({}, dir), dryRun: true, verbose: false }).run();
+
+  assert.deepStrictEqual(report.graph.nodes.map(node => node.id), [
+    'Card', 'pages/a.jsx#Home', 'Shell', 'pages/b.jsx#Card', 'pages/b.jsx#Home'
+  ]);
+  assert.deepStrictEqual(report.graph.edges.map(edge => `${edge.from} -> ${edge.to}`), [
+    'pages/a.jsx#Home -> Card',
+    'Shell -> pages/b.jsx#Card',
+    'pages/b.jsx#Home -> Shell'
+  ]);
+});
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const ReactModularizer = require('../lib/modularizer.js');
+const { normalizeConfig } = require('../lib/config.js');
+
+// The pipeline on a string, with the default config and nothing read from disk
+async function modularize(code, { config = {}, ...options } = {}) {
+  const modularizer = new ReactModularizer({
+    verbose: false,
+    formatting: 'default',
+    existingFiles: {},
+    config: normalizeConfig(config, '.'),
+    ...options
+  });
+  return modularizer.processCode(code);
+}
+
+function componentCode(result, name) {
+  const component = result.components.find(candidate => candidate.name === name);
+  if (!component) {
+    throw new Error(`${name} was not extracted (got ${result.components.map(candidate => candidate.name).join(', ')})`);
+  }
+  return component.code;
+}
+
+// Removed once the test file is done
+const tempDirs = [];
+process.on('exit', () => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'modularizer-'));
+  tempDirs.push(dir);
+  return dir;
+}
+
+function writeFiles(rootDir, files) {
+  Object.entries(files).forEach(([filePath, content]) => {
+    const target = path.join(rootDir, filePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+  });
+}
+
+// The modularize bin, run in a directory of its own
+function runCli(cwd, args) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [path.join(__dirname, '..', 'lib', 'modularize.js'), ...args], {
+    cwd,
+    encoding: 'utf8'
+  });
+  return { status, stdout, stderr };
+}
+
+module.exports = { modularize, componentCode, tempDir, writeFiles, runCli };
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const TransactionHistory = require('../lib/history.js');
+const { tempDir, writeFiles } = require('./helpers.js');
+
+function project() {
+  const dir = tempDir();
+  writeFiles(dir, { 'src/App.jsx': 'original app\n' });
+  const changes = [
+    { filePath: path.join(dir, 'src/components/Card.jsx'), before: null, after: 'card\n' },
+    { filePath: path.join(dir, 'src/App.jsx'), before: 'original app\n', after: 'modular app\n' }
+  ];
+  return { dir, changes, read: file => fs.readFileSync(path.join(dir, file), 'utf8') };
+}
+
+test('a write that fails halfway through a file rolls back every change, that file included', () => {
+  const { dir, changes, read } = project();
+  const history = new TransactionHistory({ rootDir: dir });
+
+  // Out of space after the first few bytes of App.jsx
+  const writeFileSync = fs.writeFileSync;
+  let failed = false;
+  fs.writeFileSync = (file, content, ...rest) => {
+    if (file === changes[1].filePath && !failed) {
+      failed = true;
+      writeFileSync(file, content.slice(0, 3), ...rest);
+      throw new Error('ENOSPC: no space left on device');
+    }
+    return writeFileSync(file, content, ...rest);
+  };
+
+  try {
+    assert.throws(() => history.apply(changes), /Write failed, all changes were rolled back: ENOSPC/);
+  } finally {
+    fs.writeFileSync = writeFileSync;
+  }
+
+  assert.strictEqual(read('src/App.jsx'), 'original app\n');
+  assert.strictEqual(fs.existsSync(path.join(dir, 'src/components')), false);
+  assert.deepStrictEqual(history.list().map(run => run.status), ['rolled-back']);
+});
+
+test('a failure before anything could be written leaves the tree as it was', () => {
+  const { dir, changes, read } = project();
+  writeFiles(dir, { 'src/components': 'a file where a folder should be' });
+
+  assert.throws(() => new TransactionHistory({ rootDir: dir }).apply(changes), /Write failed/);
+  assert.strictEqual(read('src/components'), 'a file where a folder should be');
+  assert.strictEqual(read('src/App.jsx'), 'original app\n');
+});
+
+test('undo restores the last committed run unless its files were edited since', () => {
+  const { dir, changes, read } = project();
+  const history = new TransactionHistory({ rootDir: dir });
+  const run = history.apply(changes, { source: 'src/App.jsx' });
+
+  assert.strictEqual(run.status, 'committed');
+  assert.deepStrictEqual(run.files.map(file => [file.path, file.action]), [
+    ['src/components/Card.jsx', 'create'],
+    ['src/App.jsx', 'modify']
+  ]);
+  assert.strictEqual(read('src/App.jsx'), 'modular app\n');
+
+  writeFiles(dir, { 'src/components/Card.jsx': 'card, edited by hand\n' });
+  assert.throws(() => history.undo(), /Files changed since run .*: src\/components\/Card\.jsx \(use --force to undo anyway\)/);
+
+  history.undo(null, { force: true });
+  assert.strictEqual(read('src/App.jsx'), 'original app\n');
+  assert.strictEqual(fs.existsSync(path.join(dir, 'src/components')), false);
+  assert.throws(() => history.undo(), /Nothing to undo/);
+  assert.throws(() => history.undo(run.id), /cannot be undone \(status: undone\)/);
+});
+
+test('a run that crashed partway through can still be undone', () => {
+  const { dir, changes, read } = project();
+
+  // The process dies as it gets to App.jsx, with no chance to roll back
+  const crash = spawnSync(process.execPath, ['-e', `
+    const fs = require('fs');
+    const TransactionHistory = require(${JSON.stringify(require.resolve('../lib/history.js'))});
+    const writeFileSync = fs.writeFileSync;
+    fs.writeFileSync = (file, ...rest) => file.endsWith('App.jsx') ? process.exit(9) : writeFileSync(file, ...rest);
+    new TransactionHistory({ rootDir: process.argv[1] }).apply(JSON.parse(process.argv[2]));
+  `, dir, JSON.stringify(changes)]);
+  assert.strictEqual(crash.status, 9);
+
+  const history = new TransactionHistory({ rootDir: dir });
+  assert.deepStrictEqual(history.list().map(run => run.status), ['pending']);
+  assert.strictEqual(read('src/components/Card.jsx'), 'card\n');
+
+  history.undo();
+  assert.strictEqual(read('src/App.jsx'), 'original app\n');
+  assert.strictEqual(fs.existsSync(path.join(dir, 'src/components')), false);
+  assert.deepStrictEqual(history.list().map(run => run.status), ['undone']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { modularize, componentCode } = require('./helpers.js');
+
+const APP = `import React, { useState } from 'react';
+import clsx from 'clsx';
+import { Star, Menu } from 'lucide-react';
+
+function Rating({ value }) {
+  const [hover, setHover] = useState(false);
+  return <Star className={clsx({ hover })} onMouseEnter={() => setHover(true)} data-value={value} />;
+}
+
+function App() {
+  return (
+    <div>
+      <Menu />
+      <Rating value={3} />
+    </div>
+  );
+}
+
+export default App;
+`;
+
+test('an extracted component imports exactly what it uses', async () => {
+  const result = await modularize(APP);
+  const rating = componentCode(result, 'Rating');
+
+  assert.match(rating, /import React, \{ useState \} from 'react';/);
+  assert.match(rating, /import clsx from 'clsx';/);
+  assert.match(rating, /import \{ Star \} from 'lucide-react';/);
+  assert.doesNotMatch(rating, /Menu/);
+});
+
+test('App keeps only the imports it still uses', async () => {
+  const { updatedApp } = await modularize(APP);
+
+  assert.match(updatedApp, /import \{ Menu \} from 'lucide-react';/);
+  assert.match(updatedApp, /import Rating from '\.\/components\/Rating';/);
+  assert.doesNotMatch(updatedApp, /clsx|useState|Star/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { modularize, componentCode } = require('./helpers.js');
+
+const APP = `import React from 'react';
+
+function Card({ title, count = 0, onOpen, tags, user: { name }, ...rest }) {
+  return <div onClick={onOpen} {...rest}>{title}{count}{tags.map(tag => tag)}{name}</div>;
+}
+
+export default function App() {
+  return <Card title="x" count={2} onOpen={() => {}} tags={['a']} user={{ name: 'n' }} active />;
+}
+`;
+
+const TYPED_APP = `import React from 'react';
+
+function List({ items, children }) {
+  return <ul>{children}{items.length}</ul>;
+}
+
+export default function App() {
+  const [items] = React.useState<string[]>([]);
+  return <List items={items}><li onClick={() => {}}>a</li></List>;
+}
+`;
+
+test('propTypes follow how App renders the component', async () => {
+  const card = componentCode(await modularize(APP, { config: { output: { inferProps: true } } }), 'Card');
+
+  assert.match(card, /^import PropTypes from 'prop-types';$/m);
+  assert.match(card, /Card\.propTypes = \{\n  title: PropTypes\.string\.isRequired,\n  count: PropTypes\.number,\n  onOpen: PropTypes\.func\.isRequired,\n  tags: PropTypes\.arrayOf\(PropTypes\.string\)\.isRequired,\n  user: PropTypes\.shape\(\{\n    name: PropTypes\.string\.isRequired,\n  \}\)\.isRequired,\n  active: PropTypes\.bool\.isRequired,\n\};/);
+});
+
+test('TypeScript components get a Props interface instead', async () => {
+  const list = componentCode(await modularize(TYPED_APP, { appFilePath: 'App.tsx', config: { output: { inferProps: true } } }), 'List');
+
+  assert.match(list, /^import type \{ ReactNode \} from 'react';$/m);
+  assert.match(list, /interface ListProps \{\n  items: unknown\[\];\n  children: ReactNode;\n\}/);
+  assert.match(list, /export default function List\(\{ items, children \}: ListProps\)/);
+  assert.doesNotMatch(list, /PropTypes/);
+});
+
+test('a .tsx target gets the interface even when the source is plain JSX', async () => {
+  const card = componentCode(await modularize(APP, { config: { output: { inferProps: true, extension: '.tsx' } } }), 'Card');
+
+  assert.match(card, /interface CardProps \{\n  title: string;\n  count\?: number;\n  onOpen: \(\.\.\.args: any\[\]\) => void;/);
+  assert.match(card, /^export default function Card\(\{\n  title,\n[\s\S]*\}: CardProps\) \{$/m);
+});
+
+test('a type the usage leaves open is marked as unverified', async () => {
+  const row = componentCode(await modularize(`import React from 'react';
+
+function Row({ value }) {
+  return <td>{value}</td>;
+}
+
+export default function App() {
+  return <><Row value="a" /><Row value={1} /></>;
+}
+`, { config: { output: { inferProps: true } } }), 'Row');
+
+  assert.match(row, /^  value: PropTypes\.any\.isRequired, \/\/ inferred, unverified$/m);
+  assert.doesNotMatch(row, /TODO/);
+});
+
+test('nothing is inferred unless asked for', async () => {
+  const card = componentCode(await modularize(APP), 'Card');
+
+  assert.doesNotMatch(card, /PropTypes|propTypes/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { modularize, componentCode } = require('./helpers.js');
+
+test('a data-extract element becomes a component with the values it reads as props', async () => {
+  const result = await modularize(`import React from 'react';
+
+export default function App({ title }) {
+  return (
+    <div>
+      <header data-extract="PageHeader">
+        <h1>{title}</h1>
+      </header>
+    </div>
+  );
+}
+`);
+
+  const header = componentCode(result, 'PageHeader');
+  assert.match(header, /function PageHeader\(\{ title \}\)/);
+  assert.doesNotMatch(header, /data-extract/);
+  assert.match(result.updatedApp, /<PageHeader title=\{title\} \/>/);
+});
+
+test('a selection inside a component that is extracted too is replaced in its file', async () => {
+  const result = await modularize(`import React from 'react';
+
+function Dashboard({ stats }) {
+  return (
+    <main>
+      {/* Numbers at a glance */}
+      <section data-extract="StatsPanel">
+        <h2>Stats</h2>
+        <p>{stats.total}</p>
+      </section>
+    </main>
+  );
+}
+
+export default function App() {
+  return <Dashboard stats={{ total: 1 }} />;
+}
+`);
+
+  const dashboard = componentCode(result, 'Dashboard');
+  assert.match(dashboard, /import StatsPanel from '\.\/StatsPanel';/);
+  assert.match(dashboard, /<StatsPanel stats=\{stats\} \/>/);
+  assert.match(dashboard, /\{\/\* Numbers at a glance \*\/\}/);
+  assert.doesNotMatch(dashboard, /<section|data-extract/);
+  assert.match(componentCode(result, 'StatsPanel'), /<p>\{stats\.total\}<\/p>/);
+});
+
+test('a line/column selection works like a data-extract marker', async () => {
+  const result = await modularize(`import React from 'react';
+
+export default function App({ items }) {
+  return (
+    <ul>
+      {items.map(item => (
+        <li key={item.id}>
+          {item.name}
+        </li>
+      ))}
+    </ul>
+  );
+}
+`, { extractJSX: [{ name: 'ItemRow', start: { line: 7, column: 8 }, end: { line: 9, column: 13 } }] });
+
+  assert.match(componentCode(result, 'ItemRow'), /function ItemRow\(\{ item \}\)/);
+  assert.match(result.updatedApp, /<ItemRow key=\{item\.id\} item=\{item\} \/>/);
+});
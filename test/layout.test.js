@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { modularize } = require('./helpers.js');
+
+const APP = `import React from 'react';
+
+function Tree({ nodes }) {
+  return <ul>{nodes.length}</ul>;
+}
+
+function Leaf() {
+  return <li />;
+}
+
+export default function App() {
+  return <Tree nodes={[<Leaf key="a" />]} />;
+}
+`;
+
+const OLD_TREE = 'export default function Tree() {\n  return null;\n}\n';
+
+function withLayout(layout, { existingFiles, ...output } = {}) {
+  return modularize(APP, { existingFiles, config: { output: { layout, ...output } } });
+}
+
+test('the folder layout gives each component an index file, imported by its folder', async () => {
+  const result = await withLayout('folder');
+
+  assert.deepStrictEqual(result.components.map(component => component.filename), ['Tree/index.jsx', 'Leaf/index.jsx']);
+  assert.match(result.updatedApp, /import Tree from '\.\/components\/Tree';\nimport Leaf from '\.\/components\/Leaf';/);
+});
+
+test('the barrel is added to, and App imports from it', async () => {
+  const result = await withLayout('folder', {
+    barrel: true,
+    existingFiles: { 'components/index.js': "export { default as Menu } from './Menu';\n" }
+  });
+
+  assert.deepStrictEqual(result.modules.map(extracted => [extracted.kind, extracted.filePath]), [['barrel', 'components/index.js']]);
+  assert.strictEqual(result.modules[0].code, [
+    "export { default as Menu } from './Menu';",
+    "export { default as Tree } from './Tree';",
+    "export { default as Leaf } from './Leaf';",
+    ''
+  ].join('\n'));
+  assert.match(result.updatedApp, /import \{ Tree, Leaf \} from '\.\/components';/);
+});
+
+test('a file in the other layout is the same target', async () => {
+  await assert.rejects(
+    withLayout('folder', { existingFiles: { 'components/Tree.jsx': OLD_TREE } }),
+    /Target files already exist: components\/Tree\.jsx/
+  );
+  await assert.rejects(
+    withLayout('flat', { existingFiles: { 'components/Tree/index.jsx': OLD_TREE } }),
+    /Target files already exist: components\/Tree\/index\.jsx/
+  );
+});
+
+test('overwriting a file in the other layout writes over it where it is', async () => {
+  const folder = await withLayout('folder', { onConflict: 'overwrite', existingFiles: { 'components/Tree.jsx': OLD_TREE } });
+  assert.deepStrictEqual(folder.components.map(component => component.filename), ['Tree.jsx', 'Leaf/index.jsx']);
+
+  const flat = await withLayout('flat', { onConflict: 'overwrite', existingFiles: { 'components/Tree/index.jsx': OLD_TREE } });
+  assert.deepStrictEqual(flat.components.map(component => component.filename), ['Tree/index.jsx', 'Leaf.jsx']);
+  assert.match(flat.updatedApp, /import Tree from '\.\/components\/Tree';/);
+});
+
+test('renaming skips names taken in either layout', async () => {
+  const result = await withLayout('folder', {
+    onConflict: 'rename',
+    existingFiles: { 'components/Tree.jsx': OLD_TREE, 'components/AppTree.jsx': OLD_TREE }
+  });
+
+  assert.strictEqual(result.conflicts[0].renamedTo, 'components/Tree2/index.jsx');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { modularize, componentCode } = require('./helpers.js');
+
+const APP = `import React, { useState } from 'react';
+
+function App() {
+  const [users, setUsers] = useState([]);
+  // One row per user
+  const Item = ({ u }) => (
+    <li onClick={() => setUsers(users.filter(x => x !== u))}>{u.name}</li>
+  );
+  return <ul>{users.map(u => <Item key={u.id} u={u} />)}</ul>;
+}
+
+export default App;
+`;
+
+test('captured values become props of the lifted component', async () => {
+  const result = await modularize(APP, { extractNested: true });
+  const item = componentCode(result, 'Item');
+
+  assert.match(item, /const Item = \(\{ u, setUsers, users \}\) =>/);
+  assert.match(item, /\/\/ One row per user/);
+  assert.match(result.updatedApp, /<Item key=\{u\.id\} u=\{u\} setUsers=\{setUsers\} users=\{users\} \/>/);
+  assert.doesNotMatch(result.updatedApp, /const Item/);
+});
+
+test('lifted props join every kind of props parameter', async () => {
+  const result = await modularize(`import React, { useState } from 'react';
+
+type Props = { label: string };
+
+export default function App() {
+  const [count, setCount] = useState(0);
+  const Empty = () => <b>{count}</b>;
+  const Whole = props => <i onClick={() => setCount(1)}>{props.x}</i>;
+  const Typed = (props: Props) => <u>{props.label}{count}</u>;
+  const Defaulted = ({ x } = {}) => <s>{x}{count}</s>;
+  const Rest = ({ x, ...rest }) => <p {...rest}>{x}{count}</p>;
+  function Declared() {
+    return <em>{count}</em>;
+  }
+  return <div><Empty /><Whole x={1} /><Typed label="t" /><Defaulted /><Rest x={2} /><Declared /></div>;
+}
+`, { extractNested: true });
+
+  assert.match(componentCode(result, 'Empty'), /const Empty = \(\{ count \}\) =>/);
+  assert.match(componentCode(result, 'Whole'), /const Whole = \(\{ setCount, \.\.\.props \}\) =>/);
+  assert.match(componentCode(result, 'Typed'), /const Typed = \(\{ count, \.\.\.props \}: Props\) =>/);
+  assert.match(componentCode(result, 'Defaulted'), /const Defaulted = \(\{ x, count \} = \{\}\) =>/);
+  assert.match(componentCode(result, 'Rest'), /const Rest = \(\{ x, count, \.\.\.rest \}\) =>/);
+  assert.match(componentCode(result, 'Declared'), /function Declared\(\{ count \}\)/);
+});
+
+test('a nested component that captures a reassigned variable stays in App', async () => {
+  const result = await modularize(`import React from 'react';
+
+function App() {
+  let total = 0;
+  total += 1;
+  const Total = () => <b>{total}</b>;
+  return <Total />;
+}
+
+export default App;
+`, { extractNested: true });
+
+  assert.strictEqual(result.components.length, 0);
+  assert.match(result.warnings.join('\n'), /Cannot lift nested component Total: captures reassigned let variable "total"/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ProjectModularizer = require('../lib/project.js');
+const { normalizeConfig } = require('../lib/config.js');
+const { modularize, componentCode, tempDir, writeFiles } = require('./helpers.js');
+
+const APP = `import React from 'react';
+
+const LIMIT = 3;
+
+function formatName(user) {
+  return user.name.slice(0, LIMIT);
+}
+
+function Avatar({ user }) {
+  return <img alt={formatName(user)} />;
+}
+
+function Badge({ user }) {
+  return <b>{formatName(user)}</b>;
+}
+
+export default function App({ user }) {
+  return <div><Avatar user={user} /><Badge user={user} /></div>;
+}
+`;
+
+const sharedOf = result => result.modules.find(extracted => extracted.kind === 'shared');
+
+test('code several components use moves to lib/shared.js', async () => {
+  const result = await modularize(APP);
+
+  assert.strictEqual(sharedOf(result).filePath, './lib/shared.js');
+  assert.strictEqual(sharedOf(result).code, 'export const LIMIT = 3;\n\nexport function formatName(user) {\n  return user.name.slice(0, LIMIT);\n}\n');
+  assert.match(componentCode(result, 'Avatar'), /import \{ formatName \} from '\.\.\/lib\/shared';/);
+  assert.doesNotMatch(result.updatedApp, /formatName|LIMIT/);
+});
+
+test('an existing shared module keeps what it has, and new exports are added after it', async () => {
+  const existing = "import { z } from 'zod';\n\nexport const schema = z.string();\n";
+  const result = await modularize(APP, { existingFiles: { 'lib/shared.js': existing } });
+
+  assert.strictEqual(sharedOf(result).code, `${existing}\nexport const LIMIT = 3;\n\nexport function formatName(user) {\n  return user.name.slice(0, LIMIT);\n}\n`);
+});
+
+test('declarations the module already has are reused as they are', async () => {
+  const existing = 'export const LIMIT = 3;\n\n// Short names only\nexport function formatName(user) {\n  return user.name.slice(0, LIMIT);\n}\n';
+  const result = await modularize(APP, { existingFiles: { 'lib/shared.js': existing } });
+
+  assert.strictEqual(sharedOf(result).code, existing);
+});
+
+test('a different declaration by the same name is an error, not an overwrite', async () => {
+  await assert.rejects(
+    modularize(APP, { existingFiles: { 'lib/shared.js': 'export const LIMIT = 10;\n' } }),
+    /lib\/shared\.js already has its own LIMIT \(rename one of them\)/
+  );
+});
+
+test('files of a project run that share a module add to it in turn', async () => {
+  const dir = tempDir();
+  const page = (helper, name) => `import dayjs from 'dayjs';
+
+function ${helper}(date) {
+  return dayjs(date).format('D MMM');
+}
+
+function ${name}Start({ date }) {
+  return <b>{${helper}(date)}</b>;
+}
+
+function ${name}End({ date }) {
+  return <i>{${helper}(date)}</i>;
+}
+
+export default function ${name}() {
+  return <div><${name}Start date={1} /><${name}End date={2} /></div>;
+}
+`;
+  // Both get components/pages/dash/ with the per-file layout
+  writeFiles(dir, { 'pages/dash.jsx': page('when', 'Dash'), 'pages/dash/index.jsx': page('since', 'Index') });
+
+  const report = await new ProjectModularizer({ rootDir: dir, layout: 'per-file', config: normalizeConfig({}, dir), dryRun: true, verbose: false }).run();
+  const written = report.changes.filter(change => change.filePath.endsWith('shared.js')).pop();
+
+  assert.deepStrictEqual(report.errors, []);
+  assert.match(written.after, /^import dayjs from 'dayjs';\n\nexport function when\(date\) \{[\s\S]*\}\n\nexport function since\(date\) \{/);
+  assert.strictEqual(written.after.match(/import dayjs/g).length, 1);
+});